@@ -1,5 +1,7 @@
 // background.js - Service worker for handling downloads silently
 
+importScripts('filename-template.js', 'settings-schema.js', 'path-validator.js');
+
 let defaultDownloadPath = '';
 
 // Create unified logging function
@@ -25,24 +27,160 @@ function logMessage(level, message, data = null) {
   }
 }
 
+// Pending read-modify-write updates, per chrome.storage.local key
+const localStateQueues = {};
+
+// Update a chrome.storage.local value without racing other updates to the same key.
+// The updater receives the stored value and returns the new one.
+function updateLocalState(key, updater) {
+  const previous = localStateQueues[key] || Promise.resolve();
+  
+  const next = previous.then(() => new Promise((resolve, reject) => {
+    chrome.storage.local.get([key], (result) => {
+      try {
+        const value = updater(result[key]);
+        chrome.storage.local.set({ [key]: value }, () => resolve(value));
+      } catch (error) {
+        reject(error);
+      }
+    });
+  }));
+  
+  localStateQueues[key] = next.catch(() => {});
+  return next;
+}
+
+// Load every synced setting, with defaults for anything missing
+function getStoredSettings() {
+  return new Promise((resolve) => {
+    chrome.storage.sync.get(Object.keys(DEFAULT_SETTINGS), (result) => {
+      resolve({ ...DEFAULT_SETTINGS, ...result });
+    });
+  });
+}
+
+// Synced settings plus this machine's temporary state: the popup's silence override
+// and the sites flood protection is holding
+function getEffectiveSettings() {
+  return Promise.all([
+    getStoredSettings(),
+    new Promise(resolve => chrome.storage.local.get(['silenceOverride', 'floodGuard'], resolve))
+  ]).then(([settings, local]) => ({
+    ...settings,
+    silenceOverride: local.silenceOverride || null,
+    floodGuard: local.floodGuard || {}
+  }));
+}
+
+// Current version of the stored settings layout
+const SETTINGS_VERSION = SettingsSchema.version;
+
+// Default value for every synced setting
+const DEFAULT_SETTINGS = SettingsSchema.defaults;
+
+// Ordered migration steps. Each one receives the stored settings from the
+// previous version and returns the settings for its own version.
+const SETTINGS_MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Normalize routing rules and site policies saved before versioning',
+    migrate(settings) {
+      const migrated = { ...settings };
+      
+      if (Array.isArray(settings.routingRules)) {
+        migrated.routingRules = settings.routingRules.filter(rule => rule && rule.folder);
+      }
+      
+      if (Array.isArray(settings.sitePolicies)) {
+        migrated.sitePolicies = settings.sitePolicies
+          .filter(entry => entry && entry.pattern)
+          .map(entry => ({ ...entry, pattern: entry.pattern.trim().toLowerCase() }));
+      }
+      
+      return migrated;
+    }
+  }
+];
+
+// Fresh install: store the full set of defaults
+function installDefaultSettings() {
+  return new Promise((resolve) => {
+    chrome.storage.sync.set({ ...DEFAULT_SETTINGS, settingsVersion: SETTINGS_VERSION }, () => {
+      if (chrome.runtime.lastError) {
+        logMessage('error', 'Failed to set initial preferences', chrome.runtime.lastError);
+      } else {
+        logMessage('info', 'Initial preferences set successfully');
+      }
+      resolve();
+    });
+  });
+}
+
+// Update: run pending migrations and fill in only the settings that are missing
+function migrateSettings() {
+  return new Promise((resolve) => {
+    chrome.storage.sync.get(null, (stored) => {
+      const fromVersion = stored.settingsVersion || 0;
+      let settings = { ...stored };
+      let version = fromVersion;
+      
+      for (const migration of SETTINGS_MIGRATIONS) {
+        if (migration.version <= version) continue;
+        
+        try {
+          settings = migration.migrate(settings);
+          version = migration.version;
+          logMessage('info', `Applied settings migration ${migration.version}: ${migration.description}`);
+        } catch (error) {
+          // Stop here so the failed step is retried on the next update
+          logMessage('error', `Settings migration ${migration.version} failed`, { error: error.message });
+          break;
+        }
+      }
+      
+      const addedKeys = Object.keys(DEFAULT_SETTINGS).filter(key => settings[key] === undefined);
+      addedKeys.forEach(key => {
+        settings[key] = DEFAULT_SETTINGS[key];
+      });
+      settings.settingsVersion = version;
+      
+      // Migrations may drop or rename keys
+      const removedKeys = Object.keys(stored).filter(key => !(key in settings));
+      
+      chrome.storage.sync.remove(removedKeys, () => {
+        chrome.storage.sync.set(settings, () => {
+          if (chrome.runtime.lastError) {
+            logMessage('error', 'Failed to save migrated settings', chrome.runtime.lastError);
+          } else {
+            logMessage('info', `Settings migrated from version ${fromVersion} to ${version}`, {
+              addedDefaults: addedKeys,
+              removedKeys
+            });
+          }
+          resolve();
+        });
+      });
+    });
+  });
+}
+
 // Unified initialization - Consolidating previous duplicate listeners
-chrome.runtime.onInstalled.addListener(async () => {
-  logMessage('info', 'Extension installed or updated');
-  
-  // Set default download preferences
-  chrome.storage.sync.set({
-    silentDownloads: true,
-    defaultPath: '',
-    hideNotifications: true,
-    hideDownloadBar: true,
-    autoStart: true
-  }, () => {
-    if (chrome.runtime.lastError) {
-      logMessage('error', 'Failed to set initial preferences', chrome.runtime.lastError);
+chrome.runtime.onInstalled.addListener(async (details) => {
+  logMessage('info', `Extension ${details.reason === 'install' ? 'installed' : 'updated'}`, {
+    reason: details.reason,
+    previousVersion: details.previousVersion
+  });
+  
+  // Only a fresh install gets the full defaults; updates keep user preferences
+  try {
+    if (details.reason === 'install') {
+      await installDefaultSettings();
     } else {
-      logMessage('info', 'Initial preferences set successfully');
+      await migrateSettings();
     }
-  });
+  } catch (error) {
+    logMessage('error', 'Error preparing settings', error);
+  }
   
   try {
     await setDefaultDownloadPath();
@@ -103,220 +241,2276 @@ async function setDefaultDownloadPath() {
   }
 }
 
-// Enhanced download interception
-chrome.downloads.onDeterminingFilename.addListener((downloadItem, suggest) => {
-  logMessage('info', 'Processing download', {
-    url: downloadItem.url,
-    filename: downloadItem.filename,
-    fileSize: downloadItem.fileSize,
-    mimeType: downloadItem.mime
-  });
+// Extract the hostname from a URL, or an empty string if it can't be parsed
+function getHostname(url) {
+  try {
+    return new URL(url).hostname.toLowerCase();
+  } catch (error) {
+    return '';
+  }
+}
+
+// Match a hostname against a pattern such as "example.com" or "*.example.com".
+// A plain pattern also matches its subdomains.
+function hostMatches(host, pattern) {
+  if (!host || !pattern) return false;
   
-  chrome.storage.sync.get(['silentDownloads', 'defaultPath'], (result) => {
-    try {
-      if (result.silentDownloads) {
-        const customPath = result.defaultPath || defaultDownloadPath;
-        
-        // Handle both forward and backslashes for cross-platform compatibility
-        const pathSeparator = downloadItem.filename.includes('/') ? '/' : '\\';
-        const filename = downloadItem.filename.split(pathSeparator).pop();
-        
-        // Construct the target path with appropriate separator
-        const targetPath = customPath ? `${customPath}${pathSeparator}${filename}` : filename;
-        
-        logMessage('info', `Using path: ${customPath}, filename: ${filename}`);
-        
-        // Suggest the filename without prompting user
-        suggest({
-          filename: targetPath,
-          conflictAction: 'uniquify'
-        });
-      } else {
-        suggest({}); // Use browser default behavior
+  const normalizedPattern = pattern.trim().toLowerCase();
+  if (normalizedPattern.includes('*')) {
+    const escaped = normalizedPattern
+      .split('*')
+      .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+      .join('.*');
+    return new RegExp(`^${escaped}$`).test(host);
+  }
+  
+  return host === normalizedPattern || host.endsWith(`.${normalizedPattern}`);
+}
+
+// Match a MIME type against a pattern such as "application/pdf" or "image/*"
+function mimeMatches(mime, pattern) {
+  if (!mime || !pattern) return false;
+  
+  const normalizedMime = mime.toLowerCase();
+  const normalizedPattern = pattern.trim().toLowerCase();
+  if (normalizedPattern.endsWith('/*')) {
+    return normalizedMime.startsWith(normalizedPattern.slice(0, -1));
+  }
+  return normalizedMime === normalizedPattern;
+}
+
+// Check whether a single routing rule applies to a download
+function ruleMatches(rule, downloadItem, filename) {
+  const extension = filename.includes('.') ? filename.split('.').pop().toLowerCase() : '';
+  const fileSize = downloadItem.fileSize > 0 ? downloadItem.fileSize : downloadItem.totalBytes;
+  
+  if (rule.extensions?.length &&
+      !rule.extensions.some(ext => ext.replace(/^\./, '').toLowerCase() === extension)) {
+    return false;
+  }
+  
+  if (rule.mimeTypes?.length &&
+      !rule.mimeTypes.some(pattern => mimeMatches(downloadItem.mime, pattern))) {
+    return false;
+  }
+  
+  if (rule.domains?.length) {
+    const host = getHostname(downloadItem.finalUrl || downloadItem.url);
+    if (!rule.domains.some(pattern => hostMatches(host, pattern))) return false;
+  }
+  
+  if (rule.referrers?.length) {
+    const referrerHost = getHostname(downloadItem.referrer);
+    if (!rule.referrers.some(pattern => hostMatches(referrerHost, pattern))) return false;
+  }
+  
+  // Size limits can only be checked when the browser knows the size up front
+  if (rule.minSize || rule.maxSize) {
+    if (!(fileSize > 0)) return false;
+    if (rule.minSize && fileSize < rule.minSize) return false;
+    if (rule.maxSize && fileSize > rule.maxSize) return false;
+  }
+  
+  return true;
+}
+
+// Find the first routing rule that applies to a download
+function findMatchingRule(rules, downloadItem, filename) {
+  if (!Array.isArray(rules)) return null;
+  return rules.find(rule => rule && rule.folder && ruleMatches(rule, downloadItem, filename)) || null;
+}
+
+// Resolve placeholders in a rule folder, e.g. "Installers/{domain}"
+function expandRuleFolder(folder, downloadItem) {
+  const domain = getHostname(downloadItem.finalUrl || downloadItem.url) || 'unknown';
+  return PathValidator.sanitizePath(folder.replace(/\{domain\}/g, domain));
+}
+
+// Pick the directory for a download that matched no routing rule
+function resolveDefaultDirectory(settings) {
+  const directory = settings.defaultPath || defaultDownloadPath;
+  const validation = PathValidator.validateDirectory(directory);
+  
+  if (!validation.valid) {
+    // The detected fallback is usually absolute, which the downloads API rejects, so only
+    // a directory the user typed is worth a warning
+    logMessage(settings.defaultPath ? 'warn' : 'info', 'Ignoring invalid download directory, saving to the download root', {
+      directory,
+      errors: validation.errors
+    });
+    return '';
+  }
+  return validation.normalized;
+}
+
+// Most downloads kept in the history; the oldest entries are dropped first
+const MAX_HISTORY_ENTRIES = 1000;
+
+// Outcomes decided by the extension that later state changes must not overwrite
+const FINAL_HISTORY_STATES = ['prompted', 'skipped', 'blocked'];
+
+// Create or update the history entry for a download
+function recordHistory(downloadId, fields) {
+  return updateLocalState('downloadHistory', (history = []) => {
+    const existing = history.find(entry => entry.id === downloadId);
+    
+    if (existing) {
+      const update = { ...fields };
+      if (FINAL_HISTORY_STATES.includes(existing.state)) delete update.state;
+      Object.assign(existing, update);
+    } else {
+      history.push({ id: downloadId, state: 'in_progress', ...fields });
+      if (history.length > MAX_HISTORY_ENTRIES) {
+        history.splice(0, history.length - MAX_HISTORY_ENTRIES);
       }
-    } catch (error) {
-      logMessage('error', 'Error in filename determination', error);
-      suggest({}); // Fallback to browser default on error
     }
+    
+    return history;
+  }).catch((error) => {
+    logMessage('error', 'Error updating download history', { error: error.message });
   });
+}
+
+// Find the site policy for a download. Downloads don't carry their tab, so the
+// referrer host stands in for the page that started the download.
+function resolveSitePolicy(policies, downloadItem) {
+  if (!Array.isArray(policies)) return null;
   
-  return true; // This allows the suggestion to be asynchronous
-});
+  const hosts = [
+    getHostname(downloadItem.finalUrl || downloadItem.url),
+    getHostname(downloadItem.referrer)
+  ].filter(Boolean);
+  
+  return policies.find(entry =>
+    entry && entry.pattern && hosts.some(host => hostMatches(host, entry.pattern))
+  ) || null;
+}
 
-// Enhanced notification hiding
-chrome.downloads.onCreated.addListener((downloadItem) => {
-  logMessage('info', 'Download created', {
-    id: downloadItem.id,
-    url: downloadItem.url
+const MINUTES_PER_DAY = 24 * 60;
+const MINUTES_PER_WEEK = 7 * MINUTES_PER_DAY;
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Fires when the quiet-hours schedule switches silent mode on or off
+const SCHEDULE_ALARM = 'schedule-transition';
+
+function parseClockTime(value) {
+  const [hours, minutes] = value.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+// Minute of the week (0 is Sunday 00:00) in the given time zone, or the browser's when empty
+function minuteOfWeek(date, timeZone) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone: timeZone || undefined,
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date).forEach(part => {
+    parts[part.type] = part.value;
   });
   
-  chrome.storage.sync.get(['silentDownloads', 'hideNotifications'], (result) => {
-    try {
-      if (result.silentDownloads && result.hideNotifications !== false) {
-        // More comprehensive notification clearing
-        chrome.notifications.getAll((notifications) => {
-          if (!notifications) return;
-          
-          Object.keys(notifications).forEach((notificationId) => {
-            const notification = notifications[notificationId];
-            
-            // Check title and message for download-related keywords
-            const downloadKeywords = ['download', 'save', 'complete', 'finish'];
-            const titleMatch = notification.title &&
-                              downloadKeywords.some(keyword =>
-                                notification.title.toLowerCase().includes(keyword));
-            
-            const messageMatch = notification.message &&
-                                downloadKeywords.some(keyword =>
-                                  notification.message.toLowerCase().includes(keyword));
-            
-            if (titleMatch || messageMatch) {
-              chrome.notifications.clear(notificationId);
-              logMessage('info', 'Cleared download notification', notificationId);
-            }
-          });
-        });
-      }
-    } catch (error) {
-      logMessage('error', 'Error handling download creation', error);
-    }
+  return WEEKDAYS.indexOf(parts.weekday) * MINUTES_PER_DAY + parseInt(parts.hour, 10) * 60 + parseInt(parts.minute, 10);
+}
+
+// Turn schedule windows into { start, length } ranges in minutes of the week.
+// A window that ends before it starts runs past midnight into the next day.
+function scheduleRanges(windows) {
+  return (windows || []).map(entry => {
+    let length = parseClockTime(entry.end) - parseClockTime(entry.start);
+    if (length <= 0) length += MINUTES_PER_DAY;
+    return { start: entry.day * MINUTES_PER_DAY + parseClockTime(entry.start), length };
   });
-});
+}
 
-// Enhanced handling for completed downloads
-chrome.downloads.onChanged.addListener((downloadDelta) => {
-  if (downloadDelta.state) {
-    logMessage('info', `Download state changed to: ${downloadDelta.state.current}`, {
-      id: downloadDelta.id,
-      previousState: downloadDelta.state.previous
-    });
+function inScheduleRanges(ranges, minute) {
+  return ranges.some(range => (minute - range.start + MINUTES_PER_WEEK) % MINUTES_PER_WEEK < range.length);
+}
+
+// Work out whether the schedule is inside a quiet window and when that next changes.
+// Returns { active, nextChange } where nextChange is a Date, or null if it never changes.
+function getScheduleState(settings, now = new Date()) {
+  const ranges = scheduleRanges(settings.scheduleWindows);
+  const current = minuteOfWeek(now, settings.scheduleTimezone);
+  const active = inScheduleRanges(ranges, current);
+  
+  // Minutes from now until each window edge, checked in order for the first real change
+  const offsets = ranges
+    .flatMap(range => [range.start, range.start + range.length])
+    .map(edge => ((edge - current) % MINUTES_PER_WEEK + MINUTES_PER_WEEK) % MINUTES_PER_WEEK || MINUTES_PER_WEEK)
+    .sort((a, b) => a - b);
+  const offset = offsets.find(minutes => inScheduleRanges(ranges, (current + minutes) % MINUTES_PER_WEEK) !== active);
+  
+  if (offset === undefined) return { active, nextChange: null };
+  
+  const startOfMinute = now.getTime() - now.getSeconds() * 1000 - now.getMilliseconds();
+  return { active, nextChange: new Date(startOfMinute + offset * 60 * 1000) };
+}
+
+// Show a transition time as "18:00", or "Mon 09:00" when it is more than a day away
+function formatScheduleTime(date, timeZone, now = new Date()) {
+  const options = { timeZone: timeZone || undefined, hour: '2-digit', minute: '2-digit', hourCycle: 'h23' };
+  if (date - now >= MINUTES_PER_DAY * 60 * 1000) options.weekday = 'short';
+  return new Intl.DateTimeFormat('en-US', options).format(date);
+}
+
+// A "pause silence" override from the popup that hasn't run out yet
+function isSilencePaused(override, now = new Date()) {
+  return Boolean(override) && override.type === 'pause' && override.until > now.getTime();
+}
+
+// Global silent mode after applying any pause override and the quiet-hours schedule
+function isSilentNow(settings, now = new Date()) {
+  if (settings.silentDownloads === false) return false;
+  if (isSilencePaused(settings.silenceOverride, now)) return false;
+  if (!settings.scheduleEnabled) return true;
+  return getScheduleState(settings, now).active;
+}
+
+// Summarize the effective silent state for the popup and badge.
+// "until" is the time the state next changes because a pause ends or the schedule moves on.
+function getSilentStatus(settings, now = new Date()) {
+  const override = settings.silenceOverride;
+  const status = {
+    silent: isSilentNow(settings, now),
+    scheduled: false,
+    paused: false,
+    promptNext: Boolean(override) && override.type === 'next',
+    until: '',
+    untilTime: null
+  };
+  
+  if (settings.silentDownloads === false) return status;
+  
+  if (isSilencePaused(override, now)) {
+    status.paused = true;
+    status.until = formatScheduleTime(new Date(override.until), '', now);
+    status.untilTime = override.until;
+  } else if (settings.scheduleEnabled) {
+    const { nextChange } = getScheduleState(settings, now);
+    status.scheduled = true;
+    if (nextChange) {
+      status.until = formatScheduleTime(nextChange, settings.scheduleTimezone, now);
+      status.untilTime = nextChange.getTime();
+    }
   }
   
-  chrome.storage.sync.get(['silentDownloads', 'hideNotifications'], (result) => {
-    try {
-      if (result.silentDownloads && result.hideNotifications !== false) {
-        // Only clear notifications when downloads complete
-        if (downloadDelta.state?.current === 'complete') {
-          // Small delay to catch notifications that appear after completion
-          setTimeout(() => {
-            chrome.notifications.getAll((notifications) => {
-              Object.keys(notifications).forEach((notificationId) => {
-                chrome.notifications.clear(notificationId);
-                logMessage('info', 'Cleared completion notification', notificationId);
-              });
-            });
-          }, 500);
-        }
-      }
-    } catch (error) {
-      logMessage('error', 'Error handling download state change', error);
+  return status;
+}
+
+// Keep one alarm pointed at the next schedule transition
+function updateScheduleAlarm(settings) {
+  const nextChange = settings.silentDownloads !== false && settings.scheduleEnabled
+    ? getScheduleState(settings).nextChange
+    : null;
+  
+  if (nextChange) {
+    chrome.alarms.create(SCHEDULE_ALARM, { when: nextChange.getTime() });
+  } else {
+    chrome.alarms.clear(SCHEDULE_ALARM);
+  }
+}
+
+// Fires when a "pause silence" override runs out
+const SILENCE_OVERRIDE_ALARM = 'silence-override-end';
+
+// Start a temporary override: { type: 'pause', until } turns silence off until the given time,
+// { type: 'next' } sends only the next download through the Save As dialog.
+function setSilenceOverride(override) {
+  return updateLocalState('silenceOverride', () => override).then(() => {
+    if (override.type === 'pause') {
+      chrome.alarms.create(SILENCE_OVERRIDE_ALARM, { when: override.until });
+    } else {
+      chrome.alarms.clear(SILENCE_OVERRIDE_ALARM);
     }
+    logMessage('info', 'Silence override set', override);
   });
-});
+}
 
-// Enhanced message handler for popup/options communication
-chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-  logMessage('info', 'Received message', { action: request.action });
-  
-  if (request.action === 'getSettings') {
-    chrome.storage.sync.get([
-      'silentDownloads',
-      'defaultPath',
-      'hideNotifications',
-      'hideDownloadBar',
-      'autoStart'
-    ], (result) => {
-      if (chrome.runtime.lastError) {
-        logMessage('error', 'Error retrieving settings', chrome.runtime.lastError);
-        sendResponse({
-          error: chrome.runtime.lastError.message,
-          silentDownloads: true, // Default values as fallback
-          defaultPath: defaultDownloadPath,
-          hideNotifications: true,
-          hideDownloadBar: true,
-          autoStart: true
-        });
-      } else {
-        const response = {
-          silentDownloads: result.silentDownloads !== false, // Default true
-          defaultPath: result.defaultPath ?? defaultDownloadPath,
-          hideNotifications: result.hideNotifications !== false,
-          hideDownloadBar: result.hideDownloadBar !== false,
-          autoStart: result.autoStart !== false
-        };
-        
-        logMessage('info', 'Sending settings to UI', response);
-        sendResponse(response);
-      }
-    });
-    return true;
-  } else if (request.action === 'saveSettings') {
-    const settingsToSave = {
-      silentDownloads: request.silentDownloads,
-      defaultPath: request.defaultPath,
-      hideNotifications: request.hideNotifications,
-      hideDownloadBar: request.hideDownloadBar,
-      autoStart: request.autoStart
+function clearSilenceOverride() {
+  chrome.alarms.clear(SILENCE_OVERRIDE_ALARM);
+  return updateLocalState('silenceOverride', () => null);
+}
+
+// Use up a "next download only" override, resolving to true if there was one
+function takePromptNextOverride() {
+  let taken = false;
+  return updateLocalState('silenceOverride', (override) => {
+    if (override && override.type === 'next') {
+      taken = true;
+      return null;
+    }
+    return override || null;
+  }).then(() => taken);
+}
+
+// What content.js applies to pages. It can't see the schedule or the popup's overrides,
+// so the effective state is kept in storage.local where every tab can read and watch it.
+function publishPageSettings() {
+  return getEffectiveSettings().then((settings) => {
+    const pageSettings = {
+      silent: isSilentNow(settings),
+      hideDownloadBar: settings.hideDownloadBar !== false,
+      hideNotifications: settings.hideNotifications !== false,
+      hidingRules: settings.hidingRules || [],
+      pageNotificationRules: settings.pageNotificationRules || [],
+      blockNotificationPrompts: settings.blockNotificationPrompts === true
     };
-    
-    logMessage('info', 'Saving settings', settingsToSave);
-    
-    chrome.storage.sync.set(settingsToSave, () => {
-      if (chrome.runtime.lastError) {
-        logMessage('error', 'Error saving settings', chrome.runtime.lastError);
-        sendResponse({success: false, error: chrome.runtime.lastError.message});
-      } else {
-        if (request.defaultPath) {
-          defaultDownloadPath = request.defaultPath;
-          logMessage('info', 'Updated default download path', defaultDownloadPath);
-        }
-        logMessage('info', 'Settings saved successfully');
-        sendResponse({success: true});
-      }
-    });
-    return true;
-  } else if (request.action === 'getLogs') {
-    // Add ability to retrieve logs for debugging
-    chrome.storage.local.get(['errorLogs'], (result) => {
-      sendResponse({logs: result.errorLogs || []});
-    });
-    return true;
-  } else if (request.action === 'clearLogs') {
-    // Add ability to clear logs
-    chrome.storage.local.set({errorLogs: []}, () => {
-      sendResponse({success: true});
+    return updateLocalState('pageSettings', (current) => {
+      return JSON.stringify(current) === JSON.stringify(pageSettings) ? current : pageSettings;
     });
-    return true;
-  }
-});
+  }).catch(error => logMessage('error', 'Error publishing page settings', error));
+}
 
-// Ensure extension icon shows the correct state
-chrome.action.setBadgeBackgroundColor({ color: '#4CAF50' });
+// Decide whether a download should be handled silently, honoring site policies
+// and any site flood protection is holding
+function isSilentFor(downloadItem, settings) {
+  if (settings.floodGuard && settings.floodGuard.flagged?.[floodSiteFor(downloadItem)]) return false;
+  
+  const sitePolicy = resolveSitePolicy(settings.sitePolicies, downloadItem);
+  
+  if (sitePolicy && sitePolicy.policy === 'silent') return true;
+  if (sitePolicy && sitePolicy.policy === 'prompt') return false;
+  return isSilentNow(settings);
+}
 
-// Update badge when settings change
-chrome.storage.onChanged.addListener((changes) => {
-  if (changes.silentDownloads) {
-    updateBadge(changes.silentDownloads.newValue);
-  }
-});
+// How long a Save As restart stays marked. The restarted download reaches
+// onDeterminingFilename long before this runs out.
+const PROMPTED_URL_MS = 2 * 60 * 1000;
 
-// Initialize badge on startup
-chrome.runtime.onStartup.addListener(() => {
-  chrome.storage.sync.get(['silentDownloads'], (result) => {
-    updateBadge(result.silentDownloads !== false);
+// URLs we re-issued with a Save As prompt, mapped to { safety, until } where safety is the
+// verdict the original download got (or null), so onDeterminingFilename leaves the restart
+// alone and still records why. Kept in chrome.storage.local under promptedUrls, since the
+// service worker can be stopped before the restarted download comes back.
+function updatePromptedUrls(update) {
+  return updateLocalState('promptedUrls', (prompted = {}) => {
+    const now = Date.now();
+    Object.keys(prompted).forEach(url => {
+      if (prompted[url].until <= now) delete prompted[url];
+    });
+    update(prompted);
+    return prompted;
   });
-});
+}
 
-// Update badge text based on silent downloads state
-function updateBadge(isEnabled) {
-  if (isEnabled) {
-    chrome.action.setBadgeText({ text: 'ON' });
-  } else {
-    chrome.action.setBadgeText({ text: '' });
+// Claim the mark for a Save As restart, resolving to { safety } or null if it isn't one
+function takePromptedUrl(url) {
+  let entry = null;
+  return updatePromptedUrls((prompted) => {
+    entry = prompted[url] || null;
+    delete prompted[url];
+  }).then(() => entry);
+}
+
+// Request bodies and headers are not replayed when a download is restarted, so blob: URLs
+// that only the page can read, and data: URLs the page generated, can't be restarted
+function canRestartWithPrompt(url) {
+  return !url.startsWith('blob:') && !url.startsWith('data:');
+}
+
+// Cancel a download and start it again with the browser's Save As dialog.
+// Downloads that can't be restarted fall back to the browser's default behavior instead.
+function restartWithPrompt(downloadItem, suggest, safety = null) {
+  const url = downloadItem.finalUrl || downloadItem.url;
+  
+  if (!canRestartWithPrompt(url)) {
+    logMessage('warn', 'Cannot re-prompt for blob or data download, using browser default', { url });
+    suggest({});
+    return;
+  }
+  
+  chrome.downloads.cancel(downloadItem.id, () => {
+    chrome.downloads.erase({ id: downloadItem.id });
+    
+    // The mark has to be stored before the restarted download can look for it
+    updatePromptedUrls((prompted) => {
+      prompted[url] = { safety, until: Date.now() + PROMPTED_URL_MS };
+    }).then(() => {
+      chrome.downloads.download({
+        url,
+        filename: downloadItem.filename.split(/[\\/]/).pop(),
+        saveAs: true
+      }, () => {
+        if (chrome.runtime.lastError) {
+          updatePromptedUrls((prompted) => delete prompted[url]);
+          logMessage('error', 'Failed to restart download with prompt', chrome.runtime.lastError);
+        } else {
+          logMessage('info', 'Restarted download with Save As prompt', { url });
+        }
+      });
+    });
+  });
+  
+  try {
+    suggest({});
+  } catch (error) {
+    // The download was already cancelled
   }
 }
 
-// Initial badge update
-chrome.storage.sync.get(['silentDownloads'], (result) => {
-  updateBadge(result.silentDownloads !== false);
-});
\ No newline at end of file
+// Look for an earlier completed download with the same URL, final name and size.
+// Resolves to null when the size isn't known yet, since we can't prove it's identical.
+function findIdenticalDownload(downloadItem, targetPath) {
+  const fileSize = downloadItem.fileSize > 0 ? downloadItem.fileSize : downloadItem.totalBytes;
+  if (!(fileSize > 0)) return Promise.resolve(null);
+  
+  const targetName = targetPath.split(/[\\/]/).pop();
+  
+  return new Promise((resolve) => {
+    chrome.downloads.search({
+      url: downloadItem.url,
+      state: 'complete',
+      exists: true
+    }, (matches) => {
+      if (chrome.runtime.lastError || !matches) {
+        resolve(null);
+        return;
+      }
+      
+      const identical = matches.find(item =>
+        item.id !== downloadItem.id &&
+        item.fileSize === fileSize &&
+        item.filename.split(/[\\/]/).pop() === targetName
+      );
+      resolve(identical || null);
+    });
+  });
+}
+
+// Cancel a download because an identical copy is already on disk
+function skipDuplicateDownload(downloadItem, duplicate, suggest) {
+  logMessage('info', 'Skipping download, identical file already exists', {
+    url: downloadItem.url,
+    existing: duplicate.filename
+  });
+  
+  chrome.downloads.cancel(downloadItem.id, () => {
+    chrome.downloads.erase({ id: downloadItem.id });
+  });
+  
+  try {
+    suggest({});
+  } catch (error) {
+    // The download was already cancelled
+  }
+}
+
+// Explain why a download falls into a safety category, or return '' if it doesn't.
+// Unlike routing rules, any one of extension, MIME type or size is enough.
+function describeSafetyMatch(category, downloadItem, filename) {
+  const extension = filename.includes('.') ? filename.split('.').pop().toLowerCase() : '';
+  const fileSize = downloadItem.fileSize > 0 ? downloadItem.fileSize : downloadItem.totalBytes;
+  
+  if (extension && category.extensions?.some(ext => ext.replace(/^\./, '').toLowerCase() === extension)) {
+    return `extension .${extension}`;
+  }
+  if (category.mimeTypes?.some(pattern => mimeMatches(downloadItem.mime, pattern))) {
+    return `MIME type ${downloadItem.mime}`;
+  }
+  if (category.minSize && fileSize >= category.minSize) {
+    return `size ${formatByteCount(fileSize)} is at least ${formatByteCount(category.minSize)}`;
+  }
+  return '';
+}
+
+// Check a download against the safety categories.
+// Returns { action, reason } for the first matching category, or null if none applies.
+function checkDownloadSafety(settings, downloadItem, filename) {
+  if (!settings.safetyEnabled || !Array.isArray(settings.safetyCategories)) return null;
+  
+  const hosts = [
+    getHostname(downloadItem.finalUrl || downloadItem.url),
+    getHostname(downloadItem.referrer)
+  ].filter(Boolean);
+  const exceptions = Array.isArray(settings.safetyExceptions) ? settings.safetyExceptions : [];
+  if (exceptions.some(pattern => hosts.some(host => hostMatches(host, pattern)))) return null;
+  
+  for (const category of settings.safetyCategories) {
+    const match = category && describeSafetyMatch(category, downloadItem, filename);
+    if (match) return { action: category.action, reason: `${category.name} (${match})` };
+  }
+  return null;
+}
+
+// Cancel a download that a safety category blocks. Blocks are logged as warnings
+// so they show up under Troubleshooting with the reason.
+function blockDownload(downloadItem, reason, suggest) {
+  logMessage('warn', `Blocked download: ${reason}`, {
+    url: downloadItem.finalUrl || downloadItem.url,
+    referrer: downloadItem.referrer || '',
+    filename: downloadItem.filename
+  });
+  
+  chrome.downloads.cancel(downloadItem.id, () => {
+    chrome.downloads.erase({ id: downloadItem.id });
+  });
+  
+  try {
+    suggest({});
+  } catch (error) {
+    // The download was already cancelled
+  }
+}
+
+// Get the next value of the filename counter, which restarts each local day
+function nextDailyCounter() {
+  const today = FilenameTemplate.counterDay(new Date());
+  
+  return updateLocalState('filenameCounter', (counter) => ({
+    date: today,
+    value: counter && counter.date === today ? counter.value + 1 : 1
+  })).then(counter => counter.value);
+}
+
+// Build the final filename from the user's template, if one is set
+async function applyFilenameTemplate(template, downloadItem, filename) {
+  if (!template) return filename;
+  
+  const counter = FilenameTemplate.usesCounter(template) ? await nextDailyCounter() : 1;
+  const templatedName = FilenameTemplate.expand(template, {
+    filename,
+    url: downloadItem.finalUrl || downloadItem.url,
+    referrer: downloadItem.referrer,
+    mime: downloadItem.mime,
+    date: new Date(),
+    counter
+  });
+  
+  // Never let a template produce an empty name
+  return templatedName.trim() || filename;
+}
+
+// How long the folder picked from the context menu waits for its download
+const DIRECTED_FOLDER_MS = 2 * 60 * 1000;
+
+// Downloads started from the context menu, with the folder the user picked. The folder is
+// kept by download id under ids, and until chrome.downloads.download reports the id it waits
+// under urls by the requested URL, which is what downloadItem.url keeps even when the download
+// is redirected. Entries are { folder, until }, in chrome.storage.local under directedDownloads
+// so that a service worker restart doesn't lose them.
+function updateDirectedDownloads(update) {
+  return updateLocalState('directedDownloads', (directed = {}) => {
+    const now = Date.now();
+    const ids = directed.ids || {};
+    const urls = directed.urls || {};
+    [ids, urls].forEach(entries => Object.keys(entries).forEach(key => {
+      if (entries[key].until <= now) delete entries[key];
+    }));
+    update(ids, urls);
+    return { ids, urls };
+  });
+}
+
+// Claim the folder picked for one of our context-menu downloads, resolving to undefined
+// if it isn't one
+function takeDirectedFolder(downloadItem) {
+  if (downloadItem.byExtensionId !== chrome.runtime.id) return Promise.resolve(undefined);
+  
+  let folder;
+  return updateDirectedDownloads((ids, urls) => {
+    if (ids[downloadItem.id]) {
+      folder = ids[downloadItem.id].folder;
+    } else if (urls[downloadItem.url]) {
+      folder = urls[downloadItem.url].folder;
+      delete urls[downloadItem.url];
+    }
+    delete ids[downloadItem.id];
+  }).then(() => folder);
+}
+
+// Save a context-menu download into the folder the user picked. Routing rules, site policies
+// and silent mode don't apply to it; the filename template, conflict policy and safety
+// categories still do.
+async function saveToChosenFolder(downloadItem, folder, settings, historyFields, suggest) {
+  const originalFilename = downloadItem.filename.split(/[\\/]/).pop();
+  const templatedName = await applyFilenameTemplate(settings.filenameTemplate, downloadItem, originalFilename);
+  const targetPath = PathValidator.joinPath(folder, PathValidator.sanitizeFilename(templatedName));
+  const conflictAction = settings.conflictAction || 'uniquify';
+  
+  logMessage('info', `Saving to chosen folder: ${folder || 'default'}`, { filename: targetPath });
+  recordHistory(downloadItem.id, {
+    ...historyFields,
+    filename: targetPath,
+    policy: 'context menu',
+    silent: true,
+    notificationsSuppressed: settings.hideNotifications !== false
+  });
+  
+  suggest({
+    filename: targetPath,
+    conflictAction: conflictAction === 'skip' ? 'uniquify' : conflictAction
+  });
+}
+
+// Enhanced download interception
+function handleDeterminingFilename(downloadItem, suggest) {
+  logMessage('info', 'Processing download', {
+    url: downloadItem.url,
+    filename: downloadItem.filename,
+    fileSize: downloadItem.fileSize,
+    mimeType: downloadItem.mime
+  });
+  
+  const downloadUrl = downloadItem.finalUrl || downloadItem.url;
+  const historyFields = {
+    url: downloadUrl,
+    referrer: downloadItem.referrer || '',
+    mime: downloadItem.mime || '',
+    size: downloadItem.fileSize > 0 ? downloadItem.fileSize : downloadItem.totalBytes,
+    startTime: downloadItem.startTime
+  };
+  
+  Promise.all([getEffectiveSettings(), takeDirectedFolder(downloadItem)]).then(async ([result, chosenFolder]) => {
+    try {
+      const restart = downloadItem.byExtensionId === chrome.runtime.id
+        ? await takePromptedUrl(downloadUrl)
+        : null;
+      if (restart) {
+        // This is our own Save As restart, let the browser prompt. Blocking safety categories
+        // were applied before the restart, so the carried verdict only needs recording.
+        const { safety } = restart;
+        recordHistory(downloadItem.id, {
+          ...historyFields,
+          policy: safety ? `Save As restart, safety: ${safety.reason}` : 'Save As restart',
+          silent: false,
+          notificationsSuppressed: false
+        });
+        suggest({});
+        return;
+      }
+      
+      // Handle both forward and backslashes for cross-platform compatibility
+      const originalFilename = downloadItem.filename.split(/[\\/]/).pop();
+      
+      // Blocking categories apply before anything else. A Save As restart comes back as our
+      // own download and isn't checked again, so this has to happen before any restart.
+      const safety = checkDownloadSafety(result, downloadItem, originalFilename);
+      if (safety && safety.action === 'block') {
+        recordHistory(downloadItem.id, {
+          ...historyFields,
+          policy: `safety: ${safety.reason}`,
+          state: 'blocked',
+          silent: false,
+          notificationsSuppressed: false
+        });
+        blockDownload(downloadItem, safety.reason, suggest);
+        return;
+      }
+      
+      if (chosenFolder !== undefined) {
+        // The user picked the destination, but a prompting safety category still asks first
+        if (safety && safety.action === 'prompt') {
+          logMessage('info', `Safety check requires a prompt: ${safety.reason}`);
+          recordHistory(downloadItem.id, {
+            ...historyFields,
+            policy: `context menu, safety: ${safety.reason}`,
+            state: 'prompted',
+            silent: false,
+            notificationsSuppressed: false
+          });
+          restartWithPrompt(downloadItem, suggest, safety);
+          return;
+        }
+        
+        await saveToChosenFolder(downloadItem, chosenFolder, result, historyFields, suggest);
+        return;
+      }
+      
+      // Downloads we start ourselves, such as retries, don't use up the override, and neither
+      // do downloads that can't be restarted with a prompt; the override waits for the next one
+      const promptNext = result.silenceOverride && result.silenceOverride.type === 'next';
+      if (promptNext && downloadItem.byExtensionId !== chrome.runtime.id && !canRestartWithPrompt(downloadUrl)) {
+        logMessage('info', 'Cannot prompt for a blob or data download, keeping the next download override', {
+          url: downloadUrl
+        });
+      } else if (downloadItem.byExtensionId !== chrome.runtime.id && await takePromptNextOverride()) {
+        logMessage('info', 'Prompting for this download as requested from the popup');
+        recordHistory(downloadItem.id, {
+          ...historyFields,
+          policy: 'next download override',
+          state: 'prompted',
+          silent: false,
+          notificationsSuppressed: false
+        });
+        restartWithPrompt(downloadItem, suggest, safety);
+        return;
+      }
+      
+      const sitePolicy = resolveSitePolicy(result.sitePolicies, downloadItem);
+      historyFields.policy = sitePolicy ? `${sitePolicy.pattern}: ${sitePolicy.policy}` : 'global';
+      
+      if (sitePolicy && sitePolicy.policy === 'prompt') {
+        logMessage('info', `Site policy for ${sitePolicy.pattern} requires a prompt`);
+        recordHistory(downloadItem.id, {
+          ...historyFields,
+          state: 'prompted',
+          silent: false,
+          notificationsSuppressed: false
+        });
+        restartWithPrompt(downloadItem, suggest, safety);
+        return;
+      }
+      
+      const silent = isSilentFor(downloadItem, result);
+      if (safety && safety.action === 'prompt' && silent) {
+        logMessage('info', `Safety check requires a prompt: ${safety.reason}`);
+        recordHistory(downloadItem.id, {
+          ...historyFields,
+          policy: `safety: ${safety.reason}`,
+          state: 'prompted',
+          silent: false,
+          notificationsSuppressed: false
+        });
+        restartWithPrompt(downloadItem, suggest, safety);
+        return;
+      }
+      
+      if (silent) {
+        const templatedName = await applyFilenameTemplate(result.filenameTemplate, downloadItem, originalFilename);
+        const filename = PathValidator.sanitizeFilename(templatedName);
+        
+        // First matching routing rule wins, otherwise fall back to the default path
+        const rule = findMatchingRule(result.routingRules, downloadItem, originalFilename);
+        const customPath = rule
+          ? expandRuleFolder(rule.folder, downloadItem)
+          : resolveDefaultDirectory(result);
+        
+        if (rule) {
+          logMessage('info', `Matched routing rule${rule.name ? ` "${rule.name}"` : ''}`, rule);
+        }
+        
+        // Chrome accepts "/" as the separator on every platform
+        const targetPath = PathValidator.joinPath(customPath, filename);
+        
+        logMessage('info', `Using path: ${customPath}, filename: ${filename}`);
+        
+        Object.assign(historyFields, {
+          filename: targetPath,
+          rule: rule ? rule.name || rule.folder : '',
+          silent: true,
+          notificationsSuppressed: result.hideNotifications !== false
+        });
+        
+        const conflictAction = result.conflictAction || 'uniquify';
+        if (conflictAction === 'skip') {
+          const duplicate = await findIdenticalDownload(downloadItem, targetPath);
+          if (duplicate) {
+            recordHistory(downloadItem.id, { ...historyFields, state: 'skipped', filename: duplicate.filename });
+            skipDuplicateDownload(downloadItem, duplicate, suggest);
+            return;
+          }
+        }
+        
+        recordHistory(downloadItem.id, historyFields);
+        
+        // Suggest the filename without prompting user
+        suggest({
+          filename: targetPath,
+          // Downloads that aren't identical to an earlier one are kept side by side
+          conflictAction: conflictAction === 'skip' ? 'uniquify' : conflictAction
+        });
+      } else {
+        recordHistory(downloadItem.id, { ...historyFields, silent: false, notificationsSuppressed: false });
+        suggest({}); // Use browser default behavior
+      }
+    } catch (error) {
+      logMessage('error', 'Error in filename determination', error);
+      suggest({}); // Fallback to browser default on error
+    }
+  });
+  
+  return true; // This allows the suggestion to be asynchronous
+}
+
+chrome.downloads.onDeterminingFilename.addListener(handleDeterminingFilename);
+
+// Icon for the extension's own notifications (a 1x1 transparent GIF)
+const NOTIFICATION_ICON = 'data:image/gif;base64,R0lGODlhAQABAAAAACH5BAEKAAEALAAAAAABAAEAAAICTAEAOw==';
+
+// Prefix for notifications created by this extension, which must never be cleared as download noise
+const OWN_NOTIFICATION_PREFIX = 'silent-downloads-';
+
+// Delays (ms) after a download event at which new notifications are checked,
+// cut off by the configured suppression window
+const SUPPRESSION_SWEEP_DELAYS = [500, 1500, 3000, 6000, 10000, 20000, 30000, 60000];
+
+// Build a case-insensitive matcher, treating an invalid expression as a literal
+function compilePattern(pattern) {
+  if (!pattern) return null;
+  try {
+    return new RegExp(pattern, 'i');
+  } catch (error) {
+    return new RegExp(pattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+  }
+}
+
+// A rule matches when every pattern it sets matches. chrome.notifications.getAll
+// may only report ids, in which case rules can only match on idPattern.
+function notificationMatchesRule(notificationId, details, rule) {
+  const patterns = [
+    [rule.idPattern, notificationId],
+    [rule.titlePattern, details.title],
+    [rule.messagePattern, details.message]
+  ].filter(([pattern]) => pattern);
+  
+  if (!patterns.length) return false;
+  return patterns.every(([pattern, value]) => typeof value === 'string' && compilePattern(pattern).test(value));
+}
+
+// Clear notifications that match the suppression rules and appear shortly after a
+// download event. Notifications that already existed when the event happened are never touched.
+function suppressRelatedNotifications(trigger, settings) {
+  const rules = settings.suppressionRules || [];
+  if (!rules.length) return;
+  
+  const windowMs = settings.suppressionWindow * 1000;
+  
+  chrome.notifications.getAll((existing) => {
+    const handled = new Set(Object.keys(existing || {}));
+    
+    const sweep = () => {
+      chrome.notifications.getAll((notifications) => {
+        Object.entries(notifications || {}).forEach(([notificationId, value]) => {
+          if (handled.has(notificationId) || notificationId.startsWith(OWN_NOTIFICATION_PREFIX)) return;
+          handled.add(notificationId);
+          
+          const details = value && typeof value === 'object' ? value : {};
+          const rule = rules.find(candidate => notificationMatchesRule(notificationId, details, candidate));
+          if (!rule) return;
+          
+          if (settings.suppressionDryRun) {
+            logMessage('warn', `Dry run: would clear notification after download ${trigger}`, {
+              notificationId,
+              title: details.title,
+              rule
+            });
+          } else {
+            chrome.notifications.clear(notificationId);
+            logMessage('info', `Cleared notification after download ${trigger}`, { notificationId, rule });
+          }
+        });
+      });
+    };
+    
+    SUPPRESSION_SWEEP_DELAYS
+      .filter(delay => delay <= windowMs)
+      .forEach(delay => setTimeout(sweep, delay));
+  });
+}
+
+const FLOOD_NOTIFICATION_PREFIX = `${OWN_NOTIFICATION_PREFIX}flood-`;
+
+// How long an approved site is exempt from flood protection
+const FLOOD_APPROVAL_MS = 60 * 60 * 1000;
+
+// Downloads held per site are remembered so approving the site can resume them
+const MAX_HELD_DOWNLOADS = 100;
+
+// Site a download counts against. Downloads don't carry their tab, so the origin of the
+// page that started them (the referrer) stands in, falling back to the download's own origin.
+function floodSiteFor(downloadItem) {
+  for (const url of [downloadItem.referrer, downloadItem.finalUrl || downloadItem.url]) {
+    try {
+      const origin = new URL(url).origin;
+      if (origin && origin !== 'null') return origin;
+    } catch (error) {
+      // Try the next candidate
+    }
+  }
+  return 'unknown';
+}
+
+// Callback for pausing, resuming or cancelling a held download, which may already be finished or gone
+function reportDownloadControlError(action, downloadId) {
+  return () => {
+    if (chrome.runtime.lastError) {
+      logMessage('info', `Could not ${action} download ${downloadId}`, chrome.runtime.lastError.message);
+    }
+  };
+}
+
+// Count a new download against its site. Flood protection state lives in chrome.storage.local
+// under floodGuard: { recent: { site: [times] }, flagged: { site: entry }, approved: { site: until } }.
+function checkDownloadFlood(downloadItem, settings) {
+  const site = floodSiteFor(downloadItem);
+  const now = Date.now();
+  const windowMs = settings.floodWindow * 1000;
+  let outcome = null;
+  
+  return updateLocalState('floodGuard', (guard = {}) => {
+    const recent = guard.recent || {};
+    const flagged = guard.flagged || {};
+    const approved = guard.approved || {};
+    
+    // Forget activity outside the window and approvals that ran out
+    Object.keys(recent).forEach(key => {
+      recent[key] = recent[key].filter(time => now - time < windowMs);
+      if (!recent[key].length) delete recent[key];
+    });
+    Object.keys(approved).forEach(key => {
+      if (approved[key] <= now) delete approved[key];
+    });
+    
+    if (approved[site]) return { recent, flagged, approved };
+    
+    if (flagged[site]) {
+      flagged[site].count++;
+      if (flagged[site].held.length < MAX_HELD_DOWNLOADS) flagged[site].held.push(downloadItem.id);
+      outcome = 'held';
+    } else {
+      recent[site] = [...(recent[site] || []), now];
+      if (recent[site].length > settings.floodThreshold) {
+        flagged[site] = { since: now, count: recent[site].length, held: [downloadItem.id], action: settings.floodAction };
+        delete recent[site];
+        outcome = 'flagged';
+      }
+    }
+    
+    return { recent, flagged, approved };
+  }).then((guard) => {
+    if (!outcome) return;
+    
+    const entry = guard.flagged[site];
+    if (entry.action === 'cancel') {
+      chrome.downloads.cancel(downloadItem.id, reportDownloadControlError('cancel', downloadItem.id));
+    } else {
+      chrome.downloads.pause(downloadItem.id, reportDownloadControlError('pause', downloadItem.id));
+    }
+    
+    if (outcome === 'flagged') alertDownloadFlood(site, entry, settings);
+  });
+}
+
+// Raise the single alert for a site that went over the limit
+function alertDownloadFlood(site, entry, settings) {
+  const held = entry.action === 'cancel' ? 'cancelled' : 'paused';
+  
+  logMessage('warn', `Download flood from ${site}`, {
+    downloads: entry.count,
+    windowSeconds: settings.floodWindow,
+    action: entry.action
+  });
+  
+  chrome.notifications.create(FLOOD_NOTIFICATION_PREFIX + FilenameTemplate.hashString(site), {
+    type: 'basic',
+    iconUrl: NOTIFICATION_ICON,
+    title: `Too many downloads from ${getHostname(site) || site}`,
+    message: `${entry.count} downloads started within ${settings.floodWindow} seconds. ` +
+      `Further downloads are ${held} until you allow the site from the extension popup.`,
+    priority: 2
+  });
+}
+
+// Release a held site. Allowing it resumes paused downloads and exempts the site for a while;
+// rejecting it cancels whatever is still held.
+function resolveFloodedSite(site, allow) {
+  let entry = null;
+  
+  return updateLocalState('floodGuard', (guard = {}) => {
+    const flagged = guard.flagged || {};
+    const approved = guard.approved || {};
+    
+    entry = flagged[site] || null;
+    delete flagged[site];
+    if (allow) approved[site] = Date.now() + FLOOD_APPROVAL_MS;
+    
+    return { ...guard, flagged, approved };
+  }).then(() => {
+    if (!entry) return;
+    
+    entry.held.forEach((downloadId) => {
+      if (allow) {
+        chrome.downloads.resume(downloadId, reportDownloadControlError('resume', downloadId));
+      } else {
+        chrome.downloads.cancel(downloadId, reportDownloadControlError('cancel', downloadId));
+      }
+    });
+    chrome.notifications.clear(FLOOD_NOTIFICATION_PREFIX + FilenameTemplate.hashString(site));
+    logMessage('info', `${allow ? 'Allowed' : 'Rejected'} downloads from ${site}`, { held: entry.held.length });
+  });
+}
+
+// The download queue lives in chrome.storage.local under downloadQueue as an ordered list of
+// { id, url, host, queuedAt }. Running downloads are counted from chrome.downloads.search,
+// so nothing is lost when the service worker restarts.
+let downloadQueueTask = Promise.resolve();
+
+// Run queue changes one at a time; each one depends on which downloads are running
+function runQueueTask(task) {
+  const next = downloadQueueTask.then(task);
+  downloadQueueTask = next.catch((error) => {
+    logMessage('error', 'Error updating download queue', { error: error.message });
+  });
+  return next;
+}
+
+function getDownloadQueue() {
+  return new Promise(resolve => chrome.storage.local.get(['downloadQueue'], result => resolve(result.downloadQueue || [])));
+}
+
+function saveDownloadQueue(queue) {
+  return new Promise(resolve => chrome.storage.local.set({ downloadQueue: queue }, resolve));
+}
+
+// Per-host limit entry for a host, or null when only the overall limit applies
+function findHostLimit(settings, host) {
+  if (!Array.isArray(settings.queueHostLimits)) return null;
+  return settings.queueHostLimits.find(entry => entry && hostMatches(host, entry.pattern)) || null;
+}
+
+// Ids of paused downloads that the queue or flood protection is holding back
+function heldDownloadIds(queue, settings) {
+  const held = new Set(queue.map(entry => entry.id));
+  Object.values(settings.floodGuard.flagged || {}).forEach(entry => entry.held.forEach(id => held.add(id)));
+  return held;
+}
+
+// Downloads that take up a slot: running ones, and ones the user paused by hand, so that
+// pausing downloads doesn't let queued ones start in their place
+function downloadsUsingSlots(queue, settings, running, paused) {
+  const held = heldDownloadIds(queue, settings);
+  return [...running, ...paused.filter(item => !held.has(item.id))];
+}
+
+// Check whether one more download for this host fits next to the running ones
+function hasQueueCapacity(settings, running, host) {
+  if (running.length >= settings.queueMaxConcurrent) return false;
+  
+  const hostLimit = findHostLimit(settings, host);
+  if (!hostLimit) return true;
+  
+  const sameHost = running.filter(item => hostMatches(getHostname(item.finalUrl || item.url), hostLimit.pattern));
+  return sameHost.length < hostLimit.limit;
+}
+
+// Pause a new download if it doesn't fit, or if others are already waiting so the order holds
+function enqueueIfBusy(downloadItem, settings) {
+  return runQueueTask(async () => {
+    const [queue, running, pausedDownloads] = await Promise.all([
+      getDownloadQueue(),
+      searchDownloads({ state: 'in_progress', paused: false }),
+      searchDownloads({ state: 'in_progress', paused: true })
+    ]);
+    const host = getHostname(downloadItem.finalUrl || downloadItem.url);
+    const others = downloadsUsingSlots(queue, settings, running, pausedDownloads).filter(item => item.id !== downloadItem.id);
+    
+    if (!queue.length && hasQueueCapacity(settings, others, host)) return;
+    
+    const paused = await new Promise(resolve => chrome.downloads.pause(downloadItem.id, () => resolve(!chrome.runtime.lastError)));
+    if (!paused) return;
+    
+    queue.push({ id: downloadItem.id, url: downloadItem.url, host, queuedAt: Date.now() });
+    await saveDownloadQueue(queue);
+    logMessage('info', 'Queued download', { id: downloadItem.id, position: queue.length });
+  }).then(pumpDownloadQueue);
+}
+
+// Start queued downloads, in queue order, while there is room for them.
+// Entries that finished, were cancelled or were resumed by hand drop out of the queue.
+function pumpDownloadQueue() {
+  return runQueueTask(async () => {
+    const queue = await getDownloadQueue();
+    if (!queue.length) return;
+    
+    const [settings, unpaused, waiting] = await Promise.all([
+      getEffectiveSettings(),
+      searchDownloads({ state: 'in_progress', paused: false }),
+      searchDownloads({ state: 'in_progress', paused: true })
+    ]);
+    const running = downloadsUsingSlots(queue, settings, unpaused, waiting);
+    const waitingIds = new Set(waiting.map(item => item.id));
+    const flagged = settings.floodGuard.flagged || {};
+    const remaining = [];
+    
+    for (const entry of queue) {
+      if (!waitingIds.has(entry.id)) continue;
+      
+      // With the queue switched off, everything still waiting is released
+      const held = flagged[floodSiteFor(waiting.find(item => item.id === entry.id))];
+      if (!held && (!settings.queueEnabled || hasQueueCapacity(settings, running, entry.host))) {
+        const resumed = await new Promise(resolve => chrome.downloads.resume(entry.id, () => resolve(!chrome.runtime.lastError)));
+        if (resumed) {
+          running.push({ id: entry.id, url: entry.url });
+          logMessage('info', 'Started queued download', { id: entry.id });
+          continue;
+        }
+      }
+      remaining.push(entry);
+    }
+    
+    await saveDownloadQueue(remaining);
+  });
+}
+
+// Reorder the queue from the popup: a negative offset moves a download closer to the front
+function moveQueuedDownload(downloadId, offset) {
+  return runQueueTask(async () => {
+    const queue = await getDownloadQueue();
+    const index = queue.findIndex(entry => entry.id === downloadId);
+    if (index === -1) return queue;
+    
+    const target = Math.max(0, Math.min(queue.length - 1, index + offset));
+    const [entry] = queue.splice(index, 1);
+    queue.splice(target, 0, entry);
+    await saveDownloadQueue(queue);
+    return queue;
+  });
+}
+
+// Start a queued download straight away, ignoring the limits
+function startQueuedDownload(downloadId) {
+  return runQueueTask(async () => {
+    const queue = await getDownloadQueue();
+    await saveDownloadQueue(queue.filter(entry => entry.id !== downloadId));
+    chrome.downloads.resume(downloadId, reportDownloadControlError('resume', downloadId));
+  });
+}
+
+// Resume what the user paused, and interrupted downloads that can pick up where they stopped.
+// Downloads held by the queue or by flood protection stay paused, and ones waiting out a retry
+// backoff are left to it; the queue then starts its own as slots allow.
+function resumeUserPausedDownloads() {
+  return runQueueTask(async () => {
+    const [queue, settings, paused, interrupted, local] = await Promise.all([
+      getDownloadQueue(),
+      getEffectiveSettings(),
+      searchDownloads({ state: 'in_progress', paused: true }),
+      searchDownloads({ state: 'interrupted', canResume: true }),
+      new Promise(resolve => chrome.storage.local.get(['retryState'], resolve))
+    ]);
+    const held = heldDownloadIds(queue, settings);
+    const retryState = local.retryState || {};
+    
+    const userPaused = [...paused, ...interrupted].filter(item => !held.has(item.id) && !retryState[item.id]);
+    userPaused.forEach(item => chrome.downloads.resume(item.id, reportDownloadControlError('resume', item.id)));
+    return userPaused.length;
+  }).then((resumed) => {
+    pumpDownloadQueue();
+    return resumed;
+  });
+}
+
+// Enhanced notification hiding
+chrome.downloads.onCreated.addListener((downloadItem) => {
+  logMessage('info', 'Download created', {
+    id: downloadItem.id,
+    url: downloadItem.url
+  });
+  
+  getEffectiveSettings().then(async (settings) => {
+    // Downloads we start ourselves, such as retries and Save As restarts, skip the limits
+    const ownDownload = downloadItem.byExtensionId === chrome.runtime.id;
+    
+    if (settings.floodProtectionEnabled && !ownDownload) {
+      await checkDownloadFlood(downloadItem, settings).catch((error) => {
+        logMessage('error', 'Error checking download rate', { error: error.message });
+      });
+    }
+    if (settings.queueEnabled && !ownDownload) {
+      enqueueIfBusy(downloadItem, settings);
+    }
+    
+    try {
+      if (isSilentFor(downloadItem, settings) && settings.hideNotifications !== false) {
+        suppressRelatedNotifications('start', settings);
+      }
+    } catch (error) {
+      logMessage('error', 'Error handling download creation', error);
+    }
+  });
+});
+
+// Interrupt reasons that are worth another attempt
+const RETRYABLE_ERRORS = [
+  'NETWORK_FAILED',
+  'NETWORK_TIMEOUT',
+  'NETWORK_DISCONNECTED',
+  'NETWORK_SERVER_DOWN',
+  'SERVER_FAILED',
+  'SERVER_UNREACHABLE',
+  'FILE_TRANSIENT_ERROR'
+];
+
+const RETRY_ALARM_PREFIX = 'retry-download-';
+
+// Seconds to wait before the next attempt, doubling each time, or null once the download is given up
+function nextRetryDelay(error, attempts, settings) {
+  if (!RETRYABLE_ERRORS.includes(error) || attempts >= settings.retryMaxAttempts) return null;
+  return settings.retryBaseDelay * Math.pow(2, attempts);
+}
+
+// Retry bookkeeping lives in chrome.storage.local under retryState, keyed by download id,
+// and backoff timers are alarms, so both survive service-worker restarts.
+function handleInterruptedDownload(downloadItem, settings) {
+  const error = downloadItem.error || 'UNKNOWN';
+  
+  if (error === 'USER_CANCELED') {
+    clearRetryState(downloadItem.id);
+    return Promise.resolve();
+  }
+  
+  // The updater only works out the new state; the notification or alarm follows once it is stored
+  let entry;
+  let delaySeconds;
+  
+  return updateLocalState('retryState', (retryState = {}) => {
+    entry = retryState[downloadItem.id] || {
+      url: downloadItem.url,
+      filename: downloadItem.filename.split(/[\\/]/).pop(),
+      attempts: 0
+    };
+    entry.lastError = error;
+    
+    delaySeconds = nextRetryDelay(error, entry.attempts, settings);
+    if (delaySeconds === null) {
+      delete retryState[downloadItem.id];
+      return retryState;
+    }
+    
+    entry.attempts++;
+    entry.nextAttemptAt = Date.now() + delaySeconds * 1000;
+    retryState[downloadItem.id] = entry;
+    return retryState;
+  }).then(() => {
+    if (delaySeconds === null) {
+      notifyDownloadFailed(downloadItem, entry);
+      return;
+    }
+    
+    chrome.alarms.create(`${RETRY_ALARM_PREFIX}${downloadItem.id}`, { when: entry.nextAttemptAt });
+    logMessage('info', `Download interrupted (${error}), retry ${entry.attempts} of ${settings.retryMaxAttempts} in ${delaySeconds}s`, {
+      id: downloadItem.id,
+      url: entry.url
+    });
+  });
+}
+
+// Resume the download if the browser can, otherwise start it again from its URL
+function retryDownload(downloadId) {
+  chrome.storage.local.get(['retryState'], (result) => {
+    const entry = (result.retryState || {})[downloadId];
+    if (!entry) return;
+    
+    chrome.downloads.search({ id: downloadId }, ([downloadItem]) => {
+      if (downloadItem && downloadItem.state === 'interrupted' && downloadItem.canResume) {
+        chrome.downloads.resume(downloadId, () => {
+          if (chrome.runtime.lastError) {
+            logMessage('warn', 'Resume failed, restarting download', chrome.runtime.lastError);
+            restartDownload(downloadId, entry);
+          } else {
+            logMessage('info', `Resumed download (attempt ${entry.attempts})`, { id: downloadId });
+          }
+        });
+      } else if (downloadItem && downloadItem.state === 'complete') {
+        clearRetryState(downloadId);
+      } else {
+        restartDownload(downloadId, entry);
+      }
+    });
+  });
+}
+
+// Start a fresh download and carry the retry bookkeeping over to its new id
+function restartDownload(oldId, entry) {
+  chrome.downloads.download({ url: entry.url }, (newId) => {
+    if (chrome.runtime.lastError || !newId) {
+      logMessage('error', 'Failed to restart download', chrome.runtime.lastError);
+      updateLocalState('retryState', (retryState = {}) => {
+        delete retryState[oldId];
+        return retryState;
+      });
+      notifyDownloadFailed({ id: oldId, url: entry.url }, entry);
+      return;
+    }
+    
+    updateLocalState('retryState', (retryState = {}) => {
+      delete retryState[oldId];
+      retryState[newId] = entry;
+      return retryState;
+    });
+    chrome.downloads.erase({ id: oldId });
+    logMessage('info', `Restarted download from URL (attempt ${entry.attempts})`, { oldId, newId });
+  });
+}
+
+function clearRetryState(downloadId) {
+  chrome.alarms.clear(`${RETRY_ALARM_PREFIX}${downloadId}`);
+  return updateLocalState('retryState', (retryState = {}) => {
+    if (retryState[downloadId] && retryState[downloadId].attempts > 0) {
+      logMessage('info', `Download finished after ${retryState[downloadId].attempts} retries`, { id: downloadId });
+    }
+    delete retryState[downloadId];
+    return retryState;
+  });
+}
+
+// Tell the user about a download that won't be retried any more
+function notifyDownloadFailed(downloadItem, entry) {
+  logMessage('error', 'Download failed', {
+    id: downloadItem.id,
+    url: entry.url,
+    error: entry.lastError,
+    attempts: entry.attempts
+  });
+  
+  getStoredSettings().then((settings) => {
+    // With the digest on, failures are reported there instead of one by one
+    if (settings.digestEnabled) {
+      recordDigestEntry('failed', {
+        id: downloadItem.id,
+        filename: entry.filename || entry.url,
+        error: entry.lastError
+      }, settings);
+      return;
+    }
+    
+    chrome.notifications.create(`${OWN_NOTIFICATION_PREFIX}failed-${downloadItem.id}`, {
+      type: 'basic',
+      iconUrl: NOTIFICATION_ICON,
+      title: 'Download failed',
+      message: `${entry.filename || entry.url} could not be downloaded (${entry.lastError})` +
+        (entry.attempts ? ` after ${entry.attempts} retries` : ''),
+      priority: 1
+    });
+  });
+}
+
+const DIGEST_ALARM = 'download-digest';
+const DIGEST_NOTIFICATION_PREFIX = `${OWN_NOTIFICATION_PREFIX}digest-`;
+
+// Add a finished download to the pending digest. The digest is shown once enough
+// downloads have finished, or after a quiet period with no new ones.
+function recordDigestEntry(kind, entry, settings) {
+  return updateLocalState('digestState', (digestState = { completed: [], failed: [] }) => {
+    digestState[kind].push(entry);
+    return digestState;
+  }).then((digestState) => {
+    const total = digestState.completed.length + digestState.failed.length;
+    
+    if (total >= settings.digestTriggerCount) {
+      chrome.alarms.clear(DIGEST_ALARM);
+      return flushDigest();
+    }
+    
+    // Restart the quiet period
+    chrome.alarms.create(DIGEST_ALARM, { when: Date.now() + settings.digestWindow * 1000 });
+  });
+}
+
+// Find the folder shared by all saved files, shown as its last two segments
+function describeDigestFolder(filenames) {
+  if (!filenames.length) return '';
+  
+  const directories = filenames.map(filename => filename.split(/[\\/]/).slice(0, -1));
+  const common = directories.reduce((shared, parts) => {
+    let length = 0;
+    while (length < shared.length && shared[length] === parts[length]) length++;
+    return shared.slice(0, length);
+  });
+  
+  const visible = common.filter(Boolean).slice(-2);
+  return visible.length ? visible.join('/') : 'several folders';
+}
+
+// Show the pending digest and start a new one
+function flushDigest() {
+  let digest = null;
+  
+  return updateLocalState('digestState', (digestState) => {
+    digest = digestState;
+    return { completed: [], failed: [] };
+  }).then(() => {
+    if (!digest || (!digest.completed.length && !digest.failed.length)) return;
+    
+    const saved = digest.completed.length;
+    const failed = digest.failed.length;
+    const folder = describeDigestFolder(digest.completed.map(item => item.filename));
+    
+    let message = saved
+      ? `${saved} file${saved === 1 ? '' : 's'} saved to ${folder}`
+      : 'No files saved';
+    if (failed) message += ` (${failed} failed)`;
+    
+    const buttons = [{ title: 'Open folder' }];
+    if (failed) buttons.push({ title: 'View failures' });
+    
+    chrome.notifications.create(`${DIGEST_NOTIFICATION_PREFIX}${Date.now()}`, {
+      type: 'basic',
+      iconUrl: NOTIFICATION_ICON,
+      title: 'Silent Downloads',
+      message,
+      buttons
+    });
+    logMessage('info', 'Showed download digest', { saved, failed });
+  });
+}
+
+chrome.notifications.onButtonClicked.addListener((notificationId, buttonIndex) => {
+  if (!notificationId.startsWith(DIGEST_NOTIFICATION_PREFIX)) return;
+  
+  if (buttonIndex === 0) {
+    chrome.downloads.showDefaultFolder();
+  } else {
+    chrome.tabs.create({ url: chrome.runtime.getURL('options.html#history-failed') });
+  }
+  chrome.notifications.clear(notificationId);
+});
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name.startsWith(RETRY_ALARM_PREFIX)) {
+    retryDownload(parseInt(alarm.name.slice(RETRY_ALARM_PREFIX.length), 10));
+  } else if (alarm.name === DIGEST_ALARM) {
+    flushDigest();
+  } else if (alarm.name === BADGE_ALARM) {
+    updateBadge();
+  } else if (alarm.name === SILENCE_OVERRIDE_ALARM) {
+    clearSilenceOverride().then(() => logMessage('info', 'Silence pause ended'));
+  } else if (alarm.name === SCHEDULE_ALARM) {
+    getStoredSettings().then((settings) => {
+      logMessage('info', `Quiet hours ${isSilentNow(settings) ? 'started' : 'ended'}`);
+      updateScheduleAlarm(settings);
+      updateBadge();
+      publishPageSettings();
+    });
+  }
+});
+
+// Track interrupted downloads for the retry manager
+chrome.downloads.onChanged.addListener((downloadDelta) => {
+  const state = downloadDelta.state?.current;
+  if (state !== 'interrupted' && state !== 'complete') return;
+  
+  if (state === 'complete') {
+    clearRetryState(downloadDelta.id);
+    return;
+  }
+  
+  getStoredSettings().then((settings) => {
+    chrome.downloads.search({ id: downloadDelta.id }, ([downloadItem]) => {
+      if (!downloadItem) return;
+      
+      if (settings.retryEnabled) {
+        handleInterruptedDownload(downloadItem, settings).catch((error) => {
+          logMessage('error', 'Error scheduling download retry', { error: error.message });
+        });
+      } else if (settings.digestEnabled && downloadItem.error !== 'USER_CANCELED') {
+        // Without retries every interruption is final
+        recordDigestEntry('failed', {
+          id: downloadItem.id,
+          filename: downloadItem.filename.split(/[\\/]/).pop() || downloadItem.url,
+          error: downloadItem.error
+        }, settings);
+      }
+    });
+  });
+});
+
+// Keep the history in step with the browser's view of each download
+chrome.downloads.onChanged.addListener((downloadDelta) => {
+  if (!downloadDelta.state && !downloadDelta.filename) return;
+  
+  chrome.downloads.search({ id: downloadDelta.id }, ([downloadItem]) => {
+    if (!downloadItem) return;
+    
+    const fields = {
+      url: downloadItem.finalUrl || downloadItem.url,
+      referrer: downloadItem.referrer || '',
+      mime: downloadItem.mime || '',
+      startTime: downloadItem.startTime,
+      state: downloadItem.state,
+      size: downloadItem.fileSize > 0 ? downloadItem.fileSize : downloadItem.totalBytes
+    };
+    if (downloadItem.filename) fields.filename = downloadItem.filename;
+    if (downloadItem.error) fields.error = downloadItem.error;
+    if (downloadItem.state !== 'in_progress') {
+      fields.endTime = downloadItem.endTime || new Date().toISOString();
+    }
+    
+    recordHistory(downloadItem.id, fields);
+  });
+});
+
+// Collect silently handled downloads for the digest
+chrome.downloads.onChanged.addListener((downloadDelta) => {
+  if (downloadDelta.state?.current !== 'complete') return;
+  
+  getEffectiveSettings().then((settings) => {
+    if (!settings.digestEnabled) return;
+    
+    chrome.downloads.search({ id: downloadDelta.id }, ([downloadItem]) => {
+      if (downloadItem && isSilentFor(downloadItem, settings)) {
+        recordDigestEntry('completed', { id: downloadItem.id, filename: downloadItem.filename }, settings);
+      }
+    });
+  });
+});
+
+// Enhanced handling for completed downloads
+chrome.downloads.onChanged.addListener((downloadDelta) => {
+  if (downloadDelta.state) {
+    logMessage('info', `Download state changed to: ${downloadDelta.state.current}`, {
+      id: downloadDelta.id,
+      previousState: downloadDelta.state.previous
+    });
+  }
+  
+  // Only clear notifications when downloads complete
+  if (downloadDelta.state?.current !== 'complete') return;
+  
+  getEffectiveSettings().then((settings) => {
+    chrome.downloads.search({ id: downloadDelta.id }, ([downloadItem]) => {
+      try {
+        if (downloadItem && isSilentFor(downloadItem, settings) && settings.hideNotifications !== false) {
+          suppressRelatedNotifications('completion', settings);
+        }
+      } catch (error) {
+        logMessage('error', 'Error handling download state change', error);
+      }
+    });
+  });
+});
+
+// Profiles bundle the basic settings in PROFILE_SETTINGS_KEYS; everything else is shared.
+// The active profile's settings are the regular top-level keys, so the rest of the extension
+// never needs to know which profile is on; inactive profiles are kept in storage.sync under
+// PROFILE_SETTINGS_PREFIX + id. Keeping the bundle small keeps each one well under the
+// per-item sync quota.
+const PROFILE_SETTINGS_PREFIX = 'profileSettings-';
+const PROFILE_SETTINGS_KEYS = [
+  'silentDownloads', 'autoStart', 'defaultPath', 'conflictAction', 'hideNotifications', 'hideDownloadBar'
+];
+const DEFAULT_PROFILE = { id: 'default', name: 'Default' };
+const MAX_PROFILE_NAME_LENGTH = 40;
+
+let profileQueue = Promise.resolve();
+
+// Run profile changes one at a time, since each reads and rewrites several keys
+function runProfileTask(task) {
+  const next = profileQueue.then(task);
+  profileQueue = next.catch(() => {});
+  return next;
+}
+
+function getSyncValues(keys) {
+  return new Promise(resolve => chrome.storage.sync.get(keys, resolve));
+}
+
+// storage.sync limits the size of each item, the total size and the write rate;
+// explain a quota error instead of passing on the bare quota name
+function describeSyncError(message) {
+  if (!/quota/i.test(message)) return message;
+  return `Synced storage is full (${message}). Remove unused profiles or shorten long rule lists and try again.`;
+}
+
+function setSyncValues(values) {
+  return new Promise((resolve, reject) => {
+    chrome.storage.sync.set(values, () => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(describeSyncError(chrome.runtime.lastError.message)));
+      } else {
+        resolve();
+      }
+    });
+  });
+}
+
+// Load the profile list, falling back to a single "Default" profile
+async function getProfileState() {
+  const result = await getSyncValues(['profiles', 'activeProfile']);
+  const profiles = Array.isArray(result.profiles) && result.profiles.length ? result.profiles : [DEFAULT_PROFILE];
+  const activeProfile = profiles.some(profile => profile.id === result.activeProfile)
+    ? result.activeProfile
+    : profiles[0].id;
+  
+  return { profiles, activeProfile };
+}
+
+// Keep only the keys a profile stores
+function pickProfileSettings(settings) {
+  const picked = {};
+  PROFILE_SETTINGS_KEYS.forEach(key => {
+    picked[key] = settings[key] !== undefined ? settings[key] : DEFAULT_SETTINGS[key];
+  });
+  return picked;
+}
+
+async function readProfileSettings(id, state) {
+  if (id === state.activeProfile) return pickProfileSettings(await getStoredSettings());
+  
+  const key = PROFILE_SETTINGS_PREFIX + id;
+  const result = await getSyncValues([key]);
+  return pickProfileSettings(result[key] || {});
+}
+
+// Check a profile name, returning the cleaned name or throwing with the problem
+function checkProfileName(name, profiles, ignoreId) {
+  const trimmed = typeof name === 'string' ? name.trim() : '';
+  
+  if (!trimmed) throw new Error('Profile name is required');
+  if (trimmed.length > MAX_PROFILE_NAME_LENGTH) {
+    throw new Error(`Profile names can be at most ${MAX_PROFILE_NAME_LENGTH} characters`);
+  }
+  if (profiles.some(profile => profile.id !== ignoreId && profile.name.toLowerCase() === trimmed.toLowerCase())) {
+    throw new Error(`A profile named "${trimmed}" already exists`);
+  }
+  
+  return trimmed;
+}
+
+// Make another profile active: park the current settings and load the chosen ones
+async function activateProfile(id, state) {
+  const current = pickProfileSettings(await getStoredSettings());
+  const target = await readProfileSettings(id, state);
+  
+  await setSyncValues({
+    ...target,
+    [PROFILE_SETTINGS_PREFIX + state.activeProfile]: current,
+    activeProfile: id,
+    profiles: state.profiles
+  });
+  await new Promise(resolve => chrome.storage.sync.remove(PROFILE_SETTINGS_PREFIX + id, resolve));
+  
+  // Without a path of its own, the profile saves to the download root rather than
+  // wherever the previous profile pointed
+  defaultDownloadPath = target.defaultPath || '';
+}
+
+function switchProfile(id) {
+  return runProfileTask(async () => {
+    const state = await getProfileState();
+    const profile = state.profiles.find(entry => entry.id === id);
+    if (!profile) throw new Error('Unknown profile');
+    if (id === state.activeProfile) return state;
+    
+    await activateProfile(id, state);
+    logMessage('info', `Switched to profile "${profile.name}"`);
+    return { profiles: state.profiles, activeProfile: id };
+  });
+}
+
+// Create a profile with default settings, or a copy of another profile when copyFrom is set
+function createProfile(name, copyFrom) {
+  return runProfileTask(async () => {
+    const state = await getProfileState();
+    const cleanName = checkProfileName(name, state.profiles);
+    
+    let settings = pickProfileSettings({});
+    if (copyFrom) {
+      if (!state.profiles.some(entry => entry.id === copyFrom)) throw new Error('Unknown profile');
+      settings = await readProfileSettings(copyFrom, state);
+    }
+    
+    const profile = { id: `profile-${Date.now().toString(36)}`, name: cleanName };
+    const profiles = [...state.profiles, profile];
+    
+    await setSyncValues({
+      [PROFILE_SETTINGS_PREFIX + profile.id]: settings,
+      profiles,
+      activeProfile: state.activeProfile
+    });
+    logMessage('info', `Created profile "${cleanName}"`, { copyFrom: copyFrom || null });
+    return { profiles, activeProfile: state.activeProfile, created: profile.id };
+  });
+}
+
+function renameProfile(id, name) {
+  return runProfileTask(async () => {
+    const state = await getProfileState();
+    if (!state.profiles.some(entry => entry.id === id)) throw new Error('Unknown profile');
+    
+    const cleanName = checkProfileName(name, state.profiles, id);
+    const profiles = state.profiles.map(entry => (entry.id === id ? { ...entry, name: cleanName } : entry));
+    
+    await setSyncValues({ profiles, activeProfile: state.activeProfile });
+    return { profiles, activeProfile: state.activeProfile };
+  });
+}
+
+// Delete a profile. Deleting the active profile switches to the first remaining one.
+function deleteProfile(id) {
+  return runProfileTask(async () => {
+    const state = await getProfileState();
+    const profile = state.profiles.find(entry => entry.id === id);
+    if (!profile) throw new Error('Unknown profile');
+    if (state.profiles.length === 1) throw new Error('The last profile can\'t be deleted');
+    
+    const profiles = state.profiles.filter(entry => entry.id !== id);
+    let activeProfile = state.activeProfile;
+    
+    if (id === state.activeProfile) {
+      activeProfile = profiles[0].id;
+      await activateProfile(activeProfile, { profiles, activeProfile: id });
+    } else {
+      await setSyncValues({ profiles });
+    }
+    await new Promise(resolve => chrome.storage.sync.remove(PROFILE_SETTINGS_PREFIX + id, resolve));
+    
+    logMessage('info', `Deleted profile "${profile.name}"`);
+    return { profiles, activeProfile };
+  });
+}
+
+// Message actions for profile management, each resolving to { profiles, activeProfile }
+const PROFILE_ACTIONS = {
+  getProfiles: () => getProfileState(),
+  switchProfile: request => switchProfile(request.id),
+  createProfile: request => createProfile(request.name, request.copyFrom),
+  renameProfile: request => renameProfile(request.id, request.name),
+  deleteProfile: request => deleteProfile(request.id)
+};
+
+const CONTEXT_MENU_ROOT = 'download-silently';
+const CONTEXT_MENU_DEFAULT = 'download-silently-default';
+const CONTEXT_MENU_SHORTCUT_PREFIX = 'download-silently-shortcut-';
+const CONTEXT_MENU_RECENT_PREFIX = 'download-silently-recent-';
+const MAX_RECENT_DESTINATIONS = 5;
+
+let contextMenuTimer = null;
+
+// Folder shortcuts with a usable path, normalized the same way as rule folders
+function getValidShortcuts(settings) {
+  return (settings.folderShortcuts || [])
+    .map(shortcut => ({ ...shortcut, validation: PathValidator.validateDirectory(shortcut.folder) }))
+    .filter(shortcut => shortcut.validation.valid && shortcut.validation.normalized)
+    .map(shortcut => ({ name: shortcut.name, folder: shortcut.validation.normalized }));
+}
+
+// Rebuild the "Download silently to" menu from the shortcuts and recent destinations
+function rebuildContextMenu() {
+  clearTimeout(contextMenuTimer);
+  contextMenuTimer = setTimeout(() => {
+    Promise.all([
+      getStoredSettings(),
+      new Promise(resolve => chrome.storage.local.get(['recentDestinations'], resolve))
+    ]).then(([settings, local]) => {
+      const shortcuts = getValidShortcuts(settings);
+      const shortcutFolders = shortcuts.map(shortcut => shortcut.folder);
+      const recent = (local.recentDestinations || []).filter(folder => !shortcutFolders.includes(folder));
+      const contexts = ['link', 'image', 'video', 'audio'];
+      
+      chrome.contextMenus.removeAll(() => {
+        chrome.contextMenus.create({ id: CONTEXT_MENU_ROOT, title: 'Download silently to…', contexts });
+        chrome.contextMenus.create({
+          id: CONTEXT_MENU_DEFAULT,
+          parentId: CONTEXT_MENU_ROOT,
+          title: 'Default folder',
+          contexts
+        });
+        
+        shortcuts.forEach((shortcut, index) => {
+          chrome.contextMenus.create({
+            id: CONTEXT_MENU_SHORTCUT_PREFIX + index,
+            parentId: CONTEXT_MENU_ROOT,
+            title: `${shortcut.name} (${shortcut.folder})`,
+            contexts
+          });
+        });
+        
+        if (recent.length) {
+          chrome.contextMenus.create({
+            id: `${CONTEXT_MENU_ROOT}-separator`,
+            parentId: CONTEXT_MENU_ROOT,
+            type: 'separator',
+            contexts
+          });
+          recent.forEach((folder, index) => {
+            chrome.contextMenus.create({
+              id: CONTEXT_MENU_RECENT_PREFIX + index,
+              parentId: CONTEXT_MENU_ROOT,
+              title: `Recent: ${folder}`,
+              contexts
+            });
+          });
+        }
+      });
+    });
+  }, 100);
+}
+
+// Work out the folder for a clicked menu item, or null if the item is stale
+async function resolveMenuFolder(menuItemId, settings) {
+  if (menuItemId === CONTEXT_MENU_DEFAULT) return resolveDefaultDirectory(settings);
+  
+  if (menuItemId.startsWith(CONTEXT_MENU_SHORTCUT_PREFIX)) {
+    const shortcut = getValidShortcuts(settings)[parseInt(menuItemId.slice(CONTEXT_MENU_SHORTCUT_PREFIX.length), 10)];
+    return shortcut ? shortcut.folder : null;
+  }
+  
+  if (menuItemId.startsWith(CONTEXT_MENU_RECENT_PREFIX)) {
+    const local = await new Promise(resolve => chrome.storage.local.get(['recentDestinations'], resolve));
+    const shortcutFolders = getValidShortcuts(settings).map(shortcut => shortcut.folder);
+    const recent = (local.recentDestinations || []).filter(folder => !shortcutFolders.includes(folder));
+    return recent[parseInt(menuItemId.slice(CONTEXT_MENU_RECENT_PREFIX.length), 10)] ?? null;
+  }
+  
+  return null;
+}
+
+chrome.contextMenus.onClicked.addListener(async (info) => {
+  const menuItemId = String(info.menuItemId);
+  if (!menuItemId.startsWith(CONTEXT_MENU_ROOT) || menuItemId === CONTEXT_MENU_ROOT) return;
+  
+  // Media elements download their source; everything else downloads the link
+  const url = info.mediaType ? info.srcUrl || info.linkUrl : info.linkUrl || info.srcUrl;
+  if (!url) return;
+  
+  try {
+    const settings = await getStoredSettings();
+    const folder = await resolveMenuFolder(menuItemId, settings);
+    if (folder === null) {
+      logMessage('warn', 'Context menu entry is out of date', { menuItemId });
+      rebuildContextMenu();
+      return;
+    }
+    
+    // The folder has to be stored before the download can look for it
+    await updateDirectedDownloads((ids, urls) => {
+      urls[url] = { folder, until: Date.now() + DIRECTED_FOLDER_MS };
+    });
+    chrome.downloads.download({ url, saveAs: false }, (downloadId) => {
+      if (chrome.runtime.lastError || downloadId === undefined) {
+        updateDirectedDownloads((ids, urls) => delete urls[url]);
+        logMessage('error', 'Failed to start context menu download', chrome.runtime.lastError);
+        return;
+      }
+      
+      // Unless the filename was already determined, the folder now waits under the id
+      updateDirectedDownloads((ids, urls) => {
+        if (!urls[url]) return;
+        ids[downloadId] = urls[url];
+        delete urls[url];
+      });
+      logMessage('info', `Started download into ${folder || 'the default folder'}`, { id: downloadId, url });
+    });
+    
+    // Remember folders picked from the menu, except the default, for the "Recent" entries
+    if (menuItemId !== CONTEXT_MENU_DEFAULT && folder) {
+      updateLocalState('recentDestinations', (recent = []) =>
+        [folder, ...recent.filter(entry => entry !== folder)].slice(0, MAX_RECENT_DESTINATIONS)
+      );
+    }
+  } catch (error) {
+    logMessage('error', 'Error handling context menu click', { error: error.message });
+  }
+});
+
+chrome.runtime.onInstalled.addListener(rebuildContextMenu);
+chrome.runtime.onStartup.addListener(rebuildContextMenu);
+chrome.storage.onChanged.addListener((changes) => {
+  if (changes.folderShortcuts || changes.recentDestinations) rebuildContextMenu();
+});
+
+// Enhanced message handler for popup/options communication
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  logMessage('info', 'Received message', { action: request.action });
+  
+  if (request.action === 'getSettings') {
+    chrome.storage.sync.get(Object.keys(DEFAULT_SETTINGS), (result) => {
+      if (chrome.runtime.lastError) {
+        logMessage('error', 'Error retrieving settings', chrome.runtime.lastError);
+        sendResponse({
+          error: chrome.runtime.lastError.message,
+          ...DEFAULT_SETTINGS, // Default values as fallback
+          defaultPath: defaultDownloadPath
+        });
+      } else {
+        const response = {
+          ...DEFAULT_SETTINGS,
+          ...result,
+          defaultPath: result.defaultPath ?? defaultDownloadPath
+        };
+        
+        logMessage('info', 'Sending settings to UI', response);
+        sendResponse(response);
+      }
+    });
+    return true;
+  } else if (request.action === 'saveSettings') {
+    // Only store known settings that the sender actually provided
+    const settingsToSave = {};
+    Object.keys(DEFAULT_SETTINGS).forEach(key => {
+      if (request[key] !== undefined) {
+        settingsToSave[key] = request[key];
+      }
+    });
+    
+    // Reject malformed values, such as suppression patterns that aren't valid expressions
+    const schemaErrors = [];
+    Object.entries(settingsToSave).forEach(([key, value]) => {
+      schemaErrors.push(...SettingsSchema.validateField(key, SettingsSchema.fields[key], value));
+    });
+    if (schemaErrors.length) {
+      logMessage('warn', 'Rejected invalid settings', schemaErrors);
+      sendResponse({success: false, error: schemaErrors.join('; ')});
+      return;
+    }
+    
+    // Reject directories the downloads API can't use instead of failing on the next download
+    if (typeof settingsToSave.defaultPath === 'string') {
+      const validation = PathValidator.validateDirectory(settingsToSave.defaultPath);
+      if (!validation.valid) {
+        logMessage('warn', 'Rejected invalid download directory', validation.errors);
+        sendResponse({success: false, error: validation.errors.join('; ')});
+        return;
+      }
+      settingsToSave.defaultPath = validation.normalized;
+    }
+    
+    logMessage('info', 'Saving settings', settingsToSave);
+    
+    chrome.storage.sync.set(settingsToSave, () => {
+      if (chrome.runtime.lastError) {
+        logMessage('error', 'Error saving settings', chrome.runtime.lastError);
+        sendResponse({success: false, error: describeSyncError(chrome.runtime.lastError.message)});
+      } else {
+        if (settingsToSave.defaultPath) {
+          defaultDownloadPath = settingsToSave.defaultPath;
+          logMessage('info', 'Updated default download path', defaultDownloadPath);
+        }
+        logMessage('info', 'Settings saved successfully');
+        sendResponse({success: true});
+      }
+    });
+    return true;
+  } else if (request.action === 'setSitePolicy') {
+    // One-click site policy from the popup; "inherit" removes the entry
+    chrome.storage.sync.get(['sitePolicies'], (result) => {
+      const pattern = (request.pattern || '').trim().toLowerCase();
+      if (!pattern) {
+        sendResponse({success: false, error: 'Missing site pattern'});
+        return;
+      }
+      
+      const policies = (result.sitePolicies || []).filter(entry => entry.pattern !== pattern);
+      if (request.policy === 'silent' || request.policy === 'prompt') {
+        policies.unshift({ pattern, policy: request.policy });
+      }
+      
+      chrome.storage.sync.set({ sitePolicies: policies }, () => {
+        if (chrome.runtime.lastError) {
+          logMessage('error', 'Error saving site policy', chrome.runtime.lastError);
+          sendResponse({success: false, error: chrome.runtime.lastError.message});
+        } else {
+          logMessage('info', `Site policy for ${pattern} set to ${request.policy}`);
+          sendResponse({success: true, sitePolicies: policies});
+        }
+      });
+    });
+    return true;
+  } else if (request.action === 'pageNotificationSuppressed') {
+    // Reported by content.js for notifications page-notifications.js kept from showing
+    const host = getHostname(sender.tab?.url) || 'a page';
+    if (request.kind === 'requestPermission') {
+      logMessage('info', `Answered a notification permission request from ${host} without prompting`);
+    } else {
+      logMessage('info', `Suppressed a page notification from ${host}`, {
+        via: request.kind,
+        title: request.title,
+        body: request.body,
+        rule: request.rule
+      });
+    }
+    sendResponse({success: true});
+  } else if (request.action === 'addHidingRule') {
+    // A selector picked on a page: add it to that site's hide (or exclude) list
+    chrome.storage.sync.get(['hidingRules'], (result) => {
+      const pattern = (request.pattern || '').trim().toLowerCase();
+      const selector = (request.selector || '').trim();
+      const list = request.list === 'exclude' ? 'exclude' : 'hide';
+      if (!pattern || !selector) {
+        sendResponse({success: false, error: 'Missing site pattern or selector'});
+        return;
+      }
+      
+      const rules = result.hidingRules || [];
+      let rule = rules.find(entry => entry.pattern === pattern);
+      if (!rule) {
+        rule = { pattern, hide: [], exclude: [] };
+        rules.unshift(rule);
+      }
+      rule[list] = rule[list] || [];
+      if (!rule[list].includes(selector)) rule[list].push(selector);
+      
+      chrome.storage.sync.set({ hidingRules: rules }, () => {
+        if (chrome.runtime.lastError) {
+          logMessage('error', 'Error saving hiding rule', chrome.runtime.lastError);
+          sendResponse({success: false, error: chrome.runtime.lastError.message});
+        } else {
+          logMessage('info', `Added "${selector}" to the ${list} list for ${pattern}`);
+          sendResponse({success: true, hidingRules: rules});
+        }
+      });
+    });
+    return true;
+  } else if (PROFILE_ACTIONS[request.action]) {
+    PROFILE_ACTIONS[request.action](request).then((state) => {
+      sendResponse({success: true, ...state});
+    }).catch((error) => {
+      logMessage('warn', `Profile action ${request.action} failed`, { error: error.message });
+      sendResponse({success: false, error: error.message});
+    });
+    return true;
+  } else if (request.action === 'getHistory') {
+    chrome.storage.local.get(['downloadHistory'], (result) => {
+      sendResponse({history: result.downloadHistory || []});
+    });
+    return true;
+  } else if (request.action === 'clearHistory') {
+    updateLocalState('downloadHistory', () => []).then(() => {
+      logMessage('info', 'Download history cleared');
+      sendResponse({success: true});
+    });
+    return true;
+  } else if (request.action === 'getStatus') {
+    getEffectiveSettings().then((settings) => {
+      sendResponse(getSilentStatus(settings));
+    });
+    return true;
+  } else if (request.action === 'setSilenceOverride') {
+    // Popup shortcuts: pause silence for a while, or prompt for the next download only
+    const minutes = Number(request.minutes);
+    if (request.type === 'pause' && !(Number.isInteger(minutes) && minutes > 0 && minutes <= 24 * 60)) {
+      sendResponse({success: false, error: 'Pause length must be between 1 minute and 24 hours'});
+      return;
+    }
+    if (request.type !== 'pause' && request.type !== 'next') {
+      sendResponse({success: false, error: 'Unknown override'});
+      return;
+    }
+    
+    const override = request.type === 'pause'
+      ? { type: 'pause', until: Date.now() + minutes * 60 * 1000 }
+      : { type: 'next' };
+    setSilenceOverride(override).then(() => {
+      sendResponse({success: true});
+    });
+    return true;
+  } else if (request.action === 'getFloodedSites') {
+    chrome.storage.local.get(['floodGuard'], (result) => {
+      const flagged = (result.floodGuard && result.floodGuard.flagged) || {};
+      sendResponse({
+        sites: Object.entries(flagged).map(([site, entry]) => ({ site, ...entry }))
+      });
+    });
+    return true;
+  } else if (request.action === 'resolveFloodedSite') {
+    resolveFloodedSite(request.site, request.allow === true).then(() => {
+      sendResponse({success: true});
+    });
+    return true;
+  } else if (request.action === 'getQueue') {
+    Promise.all([getDownloadQueue(), searchDownloads({ state: 'in_progress', paused: false })]).then(([queue, running]) => {
+      sendResponse({queue, running: running.length});
+    });
+    return true;
+  } else if (request.action === 'moveQueuedDownload') {
+    moveQueuedDownload(request.id, request.offset).then((queue) => {
+      sendResponse({success: true, queue});
+    });
+    return true;
+  } else if (request.action === 'startQueuedDownload') {
+    startQueuedDownload(request.id).then(() => {
+      sendResponse({success: true});
+    });
+    return true;
+  } else if (request.action === 'resumeUserPaused') {
+    resumeUserPausedDownloads().then((resumed) => {
+      sendResponse({success: true, resumed});
+    });
+    return true;
+  } else if (request.action === 'clearSilenceOverride') {
+    clearSilenceOverride().then(() => {
+      logMessage('info', 'Silence override cleared');
+      sendResponse({success: true});
+    });
+    return true;
+  } else if (request.action === 'acknowledgeFailures') {
+    // The popup has shown the failed downloads, so the badge can stop flagging them
+    chrome.storage.local.set({failuresSeenAt: Date.now()}, () => {
+      sendResponse({success: true});
+    });
+    return true;
+  } else if (request.action === 'getLogs') {
+    // Add ability to retrieve logs for debugging
+    chrome.storage.local.get(['errorLogs'], (result) => {
+      sendResponse({logs: result.errorLogs || []});
+    });
+    return true;
+  } else if (request.action === 'clearLogs') {
+    // Add ability to clear logs
+    chrome.storage.local.set({errorLogs: []}, () => {
+      sendResponse({success: true});
+    });
+    return true;
+  }
+});
+
+// Badge colors for each state
+const BADGE_COLORS = {
+  active: '#4285f4',
+  failed: '#dc3545',
+  idle: '#4CAF50',
+  paused: '#757575',
+  promptNext: '#ff9800'
+};
+
+// Refreshes the tooltip while downloads run; onChanged doesn't report byte progress
+const BADGE_ALARM = 'badge-refresh';
+
+let badgeUpdateTimer = null;
+
+// Coalesce bursts of download events into a single badge update
+function scheduleBadgeUpdate() {
+  clearTimeout(badgeUpdateTimer);
+  badgeUpdateTimer = setTimeout(updateBadge, 250);
+}
+
+function searchDownloads(query) {
+  return new Promise(resolve => chrome.downloads.search(query, items => resolve(items || [])));
+}
+
+function formatByteCount(bytes) {
+  if (!(bytes > 0)) return '0 B';
+  const units = ['B', 'KB', 'MB', 'GB'];
+  let size = bytes;
+  let unit = 0;
+  while (size >= 1024 && unit < units.length - 1) {
+    size /= 1024;
+    unit++;
+  }
+  return `${size.toFixed(unit ? 1 : 0)} ${units[unit]}`;
+}
+
+// Describe running downloads for the tooltip, e.g. "2 downloading: 45% of 120.0 MB"
+function describeActiveDownloads(active) {
+  const sized = active.filter(item => item.totalBytes > 0);
+  const received = sized.reduce((sum, item) => sum + item.bytesReceived, 0);
+  const total = sized.reduce((sum, item) => sum + item.totalBytes, 0);
+  const paused = active.filter(item => item.paused).length;
+  
+  let text = `${active.length} downloading`;
+  if (total > 0) {
+    text += `: ${Math.floor(received * 100 / total)}% of ${formatByteCount(total)}`;
+  }
+  if (sized.length < active.length) {
+    text += ` (${active.length - sized.length} of unknown size)`;
+  }
+  if (paused) text += `, ${paused} paused`;
+  return text;
+}
+
+// Rebuild the badge from the browser's download list so it survives service worker restarts.
+// Failures count until the popup is opened, which records failuresSeenAt.
+async function updateBadge() {
+  try {
+    const [settings, profileState, local, active, interrupted] = await Promise.all([
+      getEffectiveSettings(),
+      getProfileState(),
+      new Promise(resolve => chrome.storage.local.get(['failuresSeenAt', 'retryState', 'downloadQueue'], resolve)),
+      searchDownloads({ state: 'in_progress' }),
+      searchDownloads({ state: 'interrupted', orderBy: ['-startTime'], limit: 50 })
+    ]);
+    
+    const seenAt = local.failuresSeenAt || 0;
+    const retryState = local.retryState || {};
+    const failed = interrupted.filter(item =>
+      item.error !== 'USER_CANCELED' &&
+      !retryState[item.id] &&
+      new Date(item.endTime || item.startTime).getTime() > seenAt
+    );
+    
+    const silentStatus = getSilentStatus(settings);
+    const until = silentStatus.until ? ` until ${silentStatus.until}` : '';
+    const profile = profileState.profiles.find(entry => entry.id === profileState.activeProfile);
+    const lines = [
+      `Silent Downloads (${profile.name})`,
+      silentStatus.paused ? `Silence paused${until}` : `Silent mode ${silentStatus.silent ? 'on' : 'off'}${until}`
+    ];
+    if (silentStatus.promptNext) lines.push('Next download will ask where to save');
+    const floodedSites = Object.keys(settings.floodGuard.flagged || {});
+    floodedSites.forEach(site => lines.push(`Holding downloads from ${getHostname(site) || site}`));
+    if (active.length) lines.push(describeActiveDownloads(active));
+    if (local.downloadQueue?.length) lines.push(`${local.downloadQueue.length} queued`);
+    if (failed.length) lines.push(`${failed.length} failed`);
+    if (!active.length && !failed.length) lines.push('No downloads running');
+    
+    let text = '';
+    let color = BADGE_COLORS.idle;
+    if (active.length) {
+      text = String(active.length);
+      color = failed.length || floodedSites.length ? BADGE_COLORS.failed : BADGE_COLORS.active;
+    } else if (failed.length || floodedSites.length) {
+      text = '!';
+      color = BADGE_COLORS.failed;
+    } else if (silentStatus.paused) {
+      text = 'OFF';
+      color = BADGE_COLORS.paused;
+    } else if (silentStatus.promptNext) {
+      text = 'ASK';
+      color = BADGE_COLORS.promptNext;
+    } else if (silentStatus.silent) {
+      text = 'ON';
+    }
+    
+    chrome.action.setBadgeText({ text });
+    chrome.action.setBadgeBackgroundColor({ color });
+    chrome.action.setTitle({ title: lines.join('\n') });
+    
+    if (active.some(item => !item.paused)) {
+      chrome.alarms.create(BADGE_ALARM, { periodInMinutes: 0.5 });
+    } else {
+      chrome.alarms.clear(BADGE_ALARM);
+    }
+  } catch (error) {
+    logMessage('error', 'Error updating badge', { error: error.message });
+  }
+}
+
+// Start queued downloads as running ones finish. Downloads paused by hand keep their slot.
+chrome.downloads.onChanged.addListener((downloadDelta) => {
+  if (downloadDelta.state) pumpDownloadQueue();
+});
+chrome.downloads.onErased.addListener(() => pumpDownloadQueue());
+
+chrome.downloads.onCreated.addListener(scheduleBadgeUpdate);
+chrome.downloads.onErased.addListener(scheduleBadgeUpdate);
+chrome.downloads.onChanged.addListener((downloadDelta) => {
+  if (downloadDelta.state || downloadDelta.paused || downloadDelta.totalBytes) {
+    scheduleBadgeUpdate();
+  }
+});
+
+// Update the badge, schedule and queue when settings change. One write can touch
+// several of these, so each check stands on its own.
+chrome.storage.onChanged.addListener((changes) => {
+  if (changes.silentDownloads || changes.scheduleEnabled || changes.scheduleWindows || changes.scheduleTimezone) {
+    getStoredSettings().then(updateScheduleAlarm);
+  }
+  if (changes.queueEnabled || changes.queueMaxConcurrent || changes.queueHostLimits) {
+    pumpDownloadQueue();
+  }
+  if (changes.silentDownloads || changes.scheduleEnabled || changes.scheduleWindows || changes.scheduleTimezone ||
+      changes.failuresSeenAt || changes.retryState || changes.activeProfile || changes.profiles ||
+      changes.silenceOverride || changes.floodGuard || changes.downloadQueue) {
+    scheduleBadgeUpdate();
+  }
+});
+
+// Keep the state pages see in step with the toggles, schedule and overrides
+chrome.storage.onChanged.addListener((changes) => {
+  if (changes.silentDownloads || changes.hideDownloadBar || changes.hideNotifications || changes.hidingRules ||
+      changes.pageNotificationRules || changes.blockNotificationPrompts || changes.scheduleEnabled ||
+      changes.scheduleWindows || changes.scheduleTimezone || changes.silenceOverride) {
+    publishPageSettings();
+  }
+});
+
+// Initialize badge on startup
+chrome.runtime.onStartup.addListener(updateBadge);
+chrome.runtime.onStartup.addListener(() => pumpDownloadQueue());
+
+// Initial badge and schedule update
+updateBadge();
+getStoredSettings().then(updateScheduleAlarm);
+publishPageSettings();
\ No newline at end of file
@@ -11,109 +11,261 @@
       console.log(`[Silent Downloads] ${message}`, data || '');
     }
   }
+  
+  // Effective settings published by the background; nothing is applied until they arrive
+  let pageSettings = null;
+  
+  // Elements hidden with inline styles, mapped to the style attribute they had before
+  // and the selector or keyword that matched them
+  const hiddenElements = new Map();
+  
+  function hideElement(element, properties, reason) {
+    if (!element.style) return;
+    if (!hiddenElements.has(element)) {
+      hiddenElements.set(element, { originalStyle: element.getAttribute('style'), reason });
+    }
+    Object.assign(element.style, properties);
+  }
+  
+  // Put one hidden element back the way it was
+  function unhideElement(element) {
+    const entry = hiddenElements.get(element);
+    if (!entry) return;
+    
+    if (entry.originalStyle === null) {
+      element.removeAttribute('style');
+    } else {
+      element.setAttribute('style', entry.originalStyle);
+    }
+    hiddenElements.delete(element);
+  }
+  
+  // Match a hostname against a site pattern the same way the background does for site policies
+  function hostMatches(host, pattern) {
+    const normalizedPattern = pattern.trim().toLowerCase();
+    if (normalizedPattern.includes('*')) {
+      const escaped = normalizedPattern
+        .split('*')
+        .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+        .join('.*');
+      return new RegExp(`^${escaped}$`).test(host);
+    }
+    
+    return host === normalizedPattern || host.endsWith(`.${normalizedPattern}`);
+  }
+  
+  // Drop selectors the browser can't parse so one bad rule doesn't break the rest
+  function isValidSelector(selector) {
+    try {
+      document.createDocumentFragment().querySelector(selector);
+      return true;
+    } catch (error) {
+      logDebug('Ignoring invalid selector:', selector);
+      return false;
+    }
+  }
+  
+  // Selectors from the hiding rules for this page's site: extra ones to hide, and ones never to hide
+  let siteRules = { hide: [], exclude: [] };
+  
+  function resolveSiteRules(hidingRules) {
+    const host = location.hostname.toLowerCase();
+    const rules = (hidingRules || []).filter(rule => rule && rule.pattern && hostMatches(host, rule.pattern));
+    const collect = key => [...new Set(rules.flatMap(rule => rule[key] || []))].filter(isValidSelector);
+    return { hide: collect('hide'), exclude: collect('exclude') };
+  }
+  
+  // Set on elements restored from the popup so neither the stylesheet nor the sweep hides them again
+  const RESTORED_ATTRIBUTE = 'data-silent-downloads-restored';
+  
+  // An excluded or restored element, or anything inside one, is always left alone
+  function isExcluded(element) {
+    const selectors = [`[${RESTORED_ATTRIBUTE}]`, ...siteRules.exclude];
+    return Boolean(element.closest(selectors.join(',')));
+  }
+  
+  // Forget hidden elements the page has since removed, so the map doesn't keep
+  // detached nodes alive and the popup doesn't list them
+  function pruneHiddenElements() {
+    hiddenElements.forEach((entry, element) => {
+      if (!element.isConnected) hiddenElements.delete(element);
+    });
+  }
+  
+  // Put back every element we hid, for when hiding is switched off on a live page
+  function restoreHiddenElements() {
+    Array.from(hiddenElements.keys()).forEach(unhideElement);
+  }
 
+  // More specific selectors for download UI elements across browsers
+  const downloadSelectors = [
+    // Chrome specific download UI
+    '[class*="download-shelf"]', '[id*="download-shelf"]',
+    'downloads-manager', '#downloads-manager', '#downloadsManager',
+    'downloads-item', '.download-item',
+    
+    // Firefox specific download UI
+    '#downloadsPanel', '#download-panel',
+    '.downloadProgress', '.download-progress',
+    
+    // Edge specific download UI
+    '#download-manager', '.download-manager',
+    
+    // Generic download UI that might appear in any browser
+    '[role="dialog"][aria-labelledby*="download" i]',
+    '[role="alertdialog"][aria-labelledby*="download" i]'
+  ];
+  
+  // Notification-type elements, hidden when their text mentions a download
+  const notificationSelector = '[class*="notification"], [class*="toast"], [role="alert"]';
+  const downloadKeywords = ['download', 'downloaded', 'complete', 'saved', 'finished'];
+  
+  // Built-in selectors plus the ones added for this site by hiding rules or the element picker
+  function specificSelectors() {
+    return [...downloadSelectors, ...siteRules.hide];
+  }
+  
+  // Cheap lookups for deciding whether an added element could match at all, so matches()
+  // and textContent are only paid for likely candidates. Other selectors are indexed by the
+  // attribute they start with, if any; the rest (such as most site rules) are tried on every element.
+  let selectorIndex = null;
+  
+  function buildSelectorIndex() {
+    const index = { tags: new Set(), ids: new Set(), classes: new Set(), substrings: [], complex: [] };
+    
+    specificSelectors().forEach(selector => {
+      let match;
+      if ((match = /^[a-z][\w-]*$/i.exec(selector))) {
+        index.tags.add(selector.toLowerCase());
+      } else if ((match = /^#([\w-]+)$/.exec(selector))) {
+        index.ids.add(match[1]);
+      } else if ((match = /^\.([\w-]+)$/.exec(selector))) {
+        index.classes.add(match[1]);
+      } else if ((match = /^\[(?:class|id)\*="([^"]+)"\]$/.exec(selector))) {
+        index.substrings.push(match[1].toLowerCase());
+      } else {
+        match = /^\[([\w-]+)/.exec(selector);
+        index.complex.push({ selector, attribute: match ? match[1] : null });
+      }
+    });
+    
+    return index;
+  }
+  
+  function mayMatchSpecific(element) {
+    if (!selectorIndex) selectorIndex = buildSelectorIndex();
+    const index = selectorIndex;
+    
+    if (index.tags.has(element.localName) || (element.id && index.ids.has(element.id))) return true;
+    if (Array.from(element.classList).some(name => index.classes.has(name))) return true;
+    
+    if (index.substrings.length) {
+      const names = `${element.id} ${element.getAttribute('class') || ''}`.toLowerCase();
+      if (index.substrings.some(substring => names.includes(substring))) return true;
+    }
+    
+    return index.complex.some(entry => (!entry.attribute || element.hasAttribute(entry.attribute)) &&
+      element.matches(entry.selector));
+  }
+  
+  function mayBeNotification(element) {
+    const className = (element.getAttribute('class') || '').toLowerCase();
+    return className.includes('notification') || className.includes('toast') || element.getAttribute('role') === 'alert';
+  }
+  
+  function hideSpecificElement(element) {
+    if (isExcluded(element)) return;
+    hideElement(element, {
+      display: 'none',
+      visibility: 'hidden',
+      opacity: '0',
+      height: '0',
+      overflow: 'hidden'
+    }, specificSelectors().find(selector => element.matches(selector)));
+  }
+  
+  function hideIfDownloadNotification(element) {
+    if (hiddenElements.has(element)) return;
+    const text = element.textContent?.toLowerCase() || '';
+    const keyword = downloadKeywords.find(keyword => text.includes(keyword));
+    if (keyword && !isExcluded(element)) {
+      hideElement(element, { display: 'none', visibility: 'hidden' }, `text contains "${keyword}"`);
+    }
+  }
+  
   // More precise function to hide download bubbles and notifications
   function hideDownloadElements() {
     logDebug('Hiding download elements');
-    
-    // More specific selectors for download UI elements across browsers
-    const downloadSelectors = [
-      // Chrome specific download UI
-      '[class*="download-shelf"]', '[id*="download-shelf"]',
-      'downloads-manager', '#downloads-manager', '#downloadsManager',
-      'downloads-item', '.download-item',
-      
-      // Firefox specific download UI
-      '#downloadsPanel', '#download-panel',
-      '.downloadProgress', '.download-progress',
-      
-      // Edge specific download UI
-      '#download-manager', '.download-manager',
-      
-      // Generic download UI that might appear in any browser
-      '[role="dialog"][aria-labelledby*="download" i]',
-      '[role="alertdialog"][aria-labelledby*="download" i]'
-    ];
+    const selectors = specificSelectors();
     
     try {
       // First hide specific download elements (more targeted approach)
-      const specificElements = document.querySelectorAll(downloadSelectors.join(','));
+      const specificElements = document.querySelectorAll(selectors.join(','));
       logDebug(`Found ${specificElements.length} specific download UI elements to hide`);
       
-      specificElements.forEach(element => {
-        if (element.style) {
-          element.style.display = 'none';
-          element.style.visibility = 'hidden';
-          element.style.opacity = '0';
-          element.style.height = '0';
-          element.style.overflow = 'hidden';
-        }
-      });
+      specificElements.forEach(hideSpecificElement);
       
       // Then check for notification-type elements with download-related text
-      const notifications = document.querySelectorAll('[class*="notification"], [class*="toast"], [role="alert"]');
+      const notifications = document.querySelectorAll(notificationSelector);
       
-      notifications.forEach(element => {
-        const text = element.textContent?.toLowerCase() || '';
-        // More comprehensive keyword checking
-        const downloadKeywords = ['download', 'downloaded', 'complete', 'saved', 'finished'];
-        
-        if (downloadKeywords.some(keyword => text.includes(keyword))) {
-          if (element.style) {
-            element.style.display = 'none';
-            element.style.visibility = 'hidden';
-          }
-        }
-      });
+      notifications.forEach(hideIfDownloadNotification);
     } catch (error) {
       logDebug('Error hiding download elements:', error);
     }
   }
 
-  // Improved CSS to hide download-related elements with better exclusions
-  const style = document.createElement('style');
-  style.textContent = `
-    /* Chrome download UI elements */
-    downloads-manager,
-    #downloads-manager,
-    downloads-toolbar,
-    #download-toolbar,
-    downloads-item,
-    .download-toolbar,
-    .download-shelf,
-    #download-shelf,
-    [class*="DownloadShelf" i],
-    [id*="DownloadShelf" i],
-    
-    /* Firefox download UI elements */
-    #downloadsPanel,
-    #download-panel,
-    #downloadsHistory,
-    .downloadProgress,
-    .download-progress,
-    
-    /* Edge download UI elements */
-    #download-manager,
-    .download-manager,
-    
-    /* Generic download notifications */
-    .download-notification,
-    .download-complete,
-    .download-toast,
-    .download-bubble,
-    
-    /* Notification elements that contain download text */
-    [class*="notification" i]:has(span:is(:contains('download'), :contains('downloaded'), :contains('complete'))),
-    [class*="toast" i]:has(span:is(:contains('download'), :contains('downloaded'), :contains('complete'))),
-    [role="alert"]:has(span:is(:contains('download'), :contains('downloaded'), :contains('complete'))),
-    
-    /* Status messages */
-    [aria-live]:has(*[class*="download" i]),
-    [aria-live*="download" i],
-    
-    /* Generic download UI with careful exclusions */
-    [class*="download" i]:not([class*="download-button" i]):not([class*="download-link" i]):not([class*="downloadable" i]):not(a):not(button),
-    [id*="download" i]:not([id*="download-button" i]):not([id*="download-link" i]):not([id*="downloadable" i]):not(a):not(button) {
+  // Improved CSS to hide download-related elements with better exclusions.
+  // Text-based notification matching can't be done in CSS and is left to hideDownloadElements.
+  const hiddenSelectors = [
+    // Chrome download UI elements
+    'downloads-manager',
+    '#downloads-manager',
+    'downloads-toolbar',
+    '#download-toolbar',
+    'downloads-item',
+    '.download-toolbar',
+    '.download-shelf',
+    '#download-shelf',
+    '[class*="DownloadShelf" i]',
+    '[id*="DownloadShelf" i]',
+    
+    // Firefox download UI elements
+    '#downloadsPanel',
+    '#download-panel',
+    '#downloadsHistory',
+    '.downloadProgress',
+    '.download-progress',
+    
+    // Edge download UI elements
+    '#download-manager',
+    '.download-manager',
+    
+    // Generic download notifications
+    '.download-notification',
+    '.download-complete',
+    '.download-toast',
+    '.download-bubble',
+    
+    // Status messages
+    '[aria-live]:has(*[class*="download" i])',
+    '[aria-live*="download" i]',
+    
+    // Generic download UI with careful exclusions
+    '[class*="download" i]:not([class*="download-button" i]):not([class*="download-link" i]):not([class*="downloadable" i]):not(a):not(button)',
+    '[id*="download" i]:not([id*="download-button" i]):not([id*="download-link" i]):not([id*="downloadable" i]):not(a):not(button)'
+  ];
+  
+  // Keeps excluded and restored elements, and their contents, out of the stylesheet
+  function exclusionSelector() {
+    const excluded = [`[${RESTORED_ATTRIBUTE}]`, ...siteRules.exclude].join(', ');
+    return `:not(:is(${excluded}), :is(${excluded}) *)`;
+  }
+  
+  // Build the stylesheet for this site. :is() is forgiving, so a selector one browser
+  // doesn't support only drops itself.
+  function buildStyleSheet() {
+    return `
+    :is(${[...hiddenSelectors, ...siteRules.hide].join(',\n      ')})${exclusionSelector()} {
       display: none !important;
       visibility: hidden !important;
       opacity: 0 !important;
@@ -126,15 +278,23 @@
       pointer-events: none !important;
     }
   `;
+  }
+  
+  const style = document.createElement('style');
+  style.textContent = buildStyleSheet();
+  style.setAttribute('data-silent-downloads', 'true');
+  
+  // Whether the stylesheet, observer and element hiding are currently applied
+  let hidingActive = false;
 
   // More robust style injection
   function injectStyles() {
+    if (!hidingActive) return;
     try {
       if (document.head) {
         // Check if our style is already injected
         const existingStyle = document.querySelector('style[data-silent-downloads]');
         if (!existingStyle) {
-          style.setAttribute('data-silent-downloads', 'true');
           document.head.appendChild(style);
           logDebug('Styles injected successfully');
         }
@@ -148,9 +308,6 @@
     }
   }
   
-  // Inject styles immediately
-  injectStyles();
-
   // More robust document ready handling
   function onDocumentReady(callback) {
     if (document.readyState === 'loading') {
@@ -160,196 +317,633 @@
     }
   }
   
-  // Hide elements on page load
-  onDocumentReady(hideDownloadElements);
-
-  // More efficient MutationObserver with debouncing
-  let hideTimeout = null;
+  // Limits on the observer's work. Added elements are queued and checked in idle time, and a
+  // batch stops at whichever limit it reaches first. A subtree that doesn't fit in one batch
+  // is picked up where it stopped by the next one, and subtrees bigger than maxSubtreeElements
+  // are left to the stylesheet instead of being walked.
+  const OBSERVER_LIMITS = {
+    maxBatchMs: 8,
+    maxElementsPerBatch: 200,
+    maxPendingElements: 2000,
+    maxSubtreeElements: 500
+  };
+  
+  // Timing counters for the observer and full-page sweeps, reported to the popup
+  const observerStats = {
+    mutations: 0,
+    elementsQueued: 0,
+    elementsChecked: 0,
+    elementsHidden: 0,
+    subtreesSkipped: 0,
+    subtreesSplit: 0,
+    elementsDropped: 0,
+    batches: 0,
+    batchMs: 0,
+    slowestBatchMs: 0,
+    sweeps: 0,
+    sweepMs: 0
+  };
+  
+  function runSweep() {
+    const started = performance.now();
+    hideDownloadElements();
+    observerStats.sweeps++;
+    observerStats.sweepMs += performance.now() - started;
+  }
+  
+  // Falls back to a timer where requestIdleCallback isn't available
+  const requestIdle = window.requestIdleCallback
+    ? callback => window.requestIdleCallback(callback, { timeout: 500 })
+    : callback => setTimeout(() => callback({ didTimeout: true, timeRemaining: () => OBSERVER_LIMITS.maxBatchMs }), 50);
+  const cancelIdle = window.cancelIdleCallback ? window.cancelIdleCallback.bind(window) : clearTimeout;
+  
+  const pendingElements = new Set();
+  // Tree walkers over added subtrees, resumed from where the last batch stopped
+  const pendingWalks = [];
+  // The walk last counted in subtreesSplit, so a subtree is counted once however many batches it takes
+  let splitWalker = null;
+  let idleHandle = null;
+  // Set when the queue overflowed, so one full sweep replaces the dropped elements
+  let sweepNeeded = false;
+  // Set when the page removed nodes, which may have taken hidden elements with them
+  let pruneNeeded = false;
+  
+  function queueElement(element) {
+    if (pendingElements.has(element)) return;
+    if (pendingElements.size >= OBSERVER_LIMITS.maxPendingElements) {
+      observerStats.elementsDropped++;
+      sweepNeeded = true;
+      return;
+    }
+    pendingElements.add(element);
+    observerStats.elementsQueued++;
+  }
+  
+  function scheduleProcessing() {
+    if (idleHandle === null && (pendingElements.size || pendingWalks.length || sweepNeeded || pruneNeeded)) {
+      idleHandle = requestIdle(processPendingElements);
+    }
+  }
+  
+  // Stops counting once the limit is passed, so the check itself stays cheap
+  function isLargeSubtree(element) {
+    const walker = document.createTreeWalker(element, NodeFilter.SHOW_ELEMENT);
+    let count = 0;
+    while (walker.nextNode()) {
+      if (++count > OBSERVER_LIMITS.maxSubtreeElements) return true;
+    }
+    return false;
+  }
+  
+  // Check one element, paying for matches() and textContent only when the index says it could match
+  function checkElement(element) {
+    if (mayMatchSpecific(element) && element.matches(specificSelectors().join(','))) hideSpecificElement(element);
+    if (mayBeNotification(element)) hideIfDownloadNotification(element);
+  }
+  
+  // Next element to check: the next one inside a subtree being walked, otherwise the next
+  // queued element, whose descendants are then walked in turn unless there are too many
+  function nextPendingElement() {
+    while (pendingWalks.length) {
+      const walker = pendingWalks[0];
+      if (walker.root.isConnected && walker.nextNode()) return walker.currentNode;
+      pendingWalks.shift();
+    }
+    
+    for (const element of pendingElements) {
+      pendingElements.delete(element);
+      if (!element.isConnected) continue;
+      if (element.childElementCount > 0) {
+        if (isLargeSubtree(element)) {
+          observerStats.subtreesSkipped++;
+        } else {
+          pendingWalks.push(document.createTreeWalker(element, NodeFilter.SHOW_ELEMENT));
+        }
+      }
+      return element;
+    }
+    return null;
+  }
   
+  function processPendingElements(deadline) {
+    idleHandle = null;
+    if (!hidingActive) return;
+    
+    const started = performance.now();
+    const hiddenBefore = hiddenElements.size;
+    let checked = 0;
+    
+    while (checked < OBSERVER_LIMITS.maxElementsPerBatch &&
+           performance.now() - started < OBSERVER_LIMITS.maxBatchMs &&
+           (deadline.didTimeout || deadline.timeRemaining() > 0)) {
+      const element = nextPendingElement();
+      if (!element) break;
+      checkElement(element);
+      checked++;
+    }
+    
+    observerStats.elementsHidden += hiddenElements.size - hiddenBefore;
+    const walker = pendingWalks[0];
+    if (walker && walker.currentNode !== walker.root && walker !== splitWalker) {
+      splitWalker = walker;
+      observerStats.subtreesSplit++;
+    }
+    
+    if (!pendingElements.size && !pendingWalks.length && sweepNeeded) {
+      sweepNeeded = false;
+      runSweep();
+    }
+    if (pruneNeeded) {
+      pruneNeeded = false;
+      pruneHiddenElements();
+    }
+    
+    const elapsed = performance.now() - started;
+    observerStats.elementsChecked += checked;
+    observerStats.batches++;
+    observerStats.batchMs += elapsed;
+    observerStats.slowestBatchMs = Math.max(observerStats.slowestBatchMs, elapsed);
+    
+    scheduleProcessing();
+  }
+  
+  // The observer callback only queues work; matching happens in processPendingElements
   const observer = new MutationObserver((mutations) => {
-    let shouldHide = false;
+    observerStats.mutations += mutations.length;
     
-    // More efficient mutation processing
     for (const mutation of mutations) {
+      if (mutation.removedNodes.length && hiddenElements.size) pruneNeeded = true;
+      
       for (const node of mutation.addedNodes) {
-        if (node.nodeType !== 1) continue; // Skip non-element nodes
-        
-        const element = node;
-        const className = (element.className?.toString() || '').toLowerCase();
-        const id = (element.id || '').toLowerCase();
-        const text = (element.textContent || '').toLowerCase();
-        
-        // More comprehensive checks
-        const downloadKeywords = ['download', 'downloaded', 'complete', 'saved'];
-        const textHasKeywords = downloadKeywords.some(keyword => text.includes(keyword));
-        
-        if (className.includes('download') ||
-            id.includes('download') ||
-            (className.includes('notification') && textHasKeywords) ||
-            (className.includes('toast') && textHasKeywords) ||
-            (element.getAttribute('role') === 'alert' && textHasKeywords)) {
-          shouldHide = true;
-          break;
-        }
-        
-        // Check for potential download notification in subtree
-        if (element.querySelector) {
-          const downloadElements = element.querySelectorAll('[class*="download"], [id*="download"]');
-          if (downloadElements.length > 0) {
-            shouldHide = true;
-            break;
-          }
+        if (node.nodeType === 1) {
+          queueElement(node);
+        } else if (node.nodeType === 3 && mutation.target.nodeType === 1) {
+          // New text can turn an existing toast into a download notification
+          const notification = mutation.target.closest(notificationSelector);
+          if (notification) queueElement(notification);
         }
       }
-      
-      if (shouldHide) break;
     }
     
-    // Use debouncing to avoid excessive calls to hideDownloadElements
-    if (shouldHide) {
-      clearTimeout(hideTimeout);
-      hideTimeout = setTimeout(hideDownloadElements, 50);
-    }
+    scheduleProcessing();
   });
 
   // Start observing with better error handling
-  try {
-    const targetNode = document.body || document.documentElement;
-    observer.observe(targetNode, {
-      childList: true,
-      subtree: true
+  function startObserver() {
+    try {
+      const targetNode = document.body || document.documentElement;
+      observer.observe(targetNode, {
+        childList: true,
+        subtree: true
+      });
+      logDebug('Observer started on', targetNode.nodeName);
+    } catch (error) {
+      logDebug('Error starting observer:', error);
+    }
+  }
+  
+  function stopObserver() {
+    observer.disconnect();
+    pendingElements.clear();
+    pendingWalks.length = 0;
+    splitWalker = null;
+    sweepNeeded = false;
+    pruneNeeded = false;
+    if (idleHandle !== null) {
+      cancelIdle(idleHandle);
+      idleHandle = null;
+    }
+  }
+  
+  // Apply the stylesheet, the initial sweep and the observer
+  function attachHiding() {
+    if (hidingActive) return;
+    hidingActive = true;
+    injectStyles();
+    onDocumentReady(() => {
+      if (hidingActive) runSweep();
     });
-    logDebug('Observer started on', targetNode.nodeName);
-  } catch (error) {
-    logDebug('Error starting observer:', error);
+    startObserver();
+    logDebug('Download UI hiding attached');
+  }
+  
+  // Undo everything attachHiding did, including inline styles on hidden elements
+  function detachHiding() {
+    if (!hidingActive) return;
+    hidingActive = false;
+    stopObserver();
+    style.remove();
+    restoreHiddenElements();
+    logDebug('Download UI hiding detached');
   }
 
-  // More robust notification API override
-  if (window.Notification) {
+  // Notification interception happens in page-notifications.js, in the page's own world, since
+  // replacing window.Notification here would only affect this isolated world. It is configured
+  // and reports back through DOM events, with details as JSON strings.
+  const NOTIFICATION_RULES_EVENT = 'silent-downloads:notification-rules';
+  const PAGE_READY_EVENT = 'silent-downloads:page-ready';
+  const NOTIFICATION_SUPPRESSED_EVENT = 'silent-downloads:notification-suppressed';
+  
+  // Suppression reports relayed per page, so a page can't flood the log
+  const MAX_SUPPRESSION_REPORTS = 20;
+  let suppressionReports = 0;
+  
+  // page-notifications.js has no rules of its own. Until the settings are loaded it gets the
+  // schema defaults, marked so it keeps holding the calls that can wait for the real ones.
+  let notificationRules = {
+    enabled: true,
+    rules: SettingsSchema.defaults.pageNotificationRules,
+    blockPrompts: false,
+    settingsLoaded: false
+  };
+  
+  function sendNotificationRules() {
+    document.dispatchEvent(new CustomEvent(NOTIFICATION_RULES_EVENT, {
+      detail: JSON.stringify(notificationRules)
+    }));
+  }
+  
+  function onNotificationSuppressed(event) {
+    if (suppressionReports >= MAX_SUPPRESSION_REPORTS) return;
+    suppressionReports++;
+    
+    let details;
     try {
-      const originalNotification = window.Notification;
-      
-      // More comprehensive check for download-related notifications
-      function isDownloadNotification(title, options) {
-        const downloadKeywords = [
-          'download', 'downloaded', 'downloading', 'complete', 'saved',
-          'finished', 'file', '.zip', '.pdf', '.exe', '.dmg'
-        ];
-        
-        // Check title
-        if (title && typeof title === 'string') {
-          const lowerTitle = title.toLowerCase();
-          if (downloadKeywords.some(keyword => lowerTitle.includes(keyword))) {
-            logDebug('Suppressing notification with title:', title);
-            return true;
-          }
-        }
+      details = JSON.parse(event.detail);
+    } catch (error) {
+      return;
+    }
+    logDebug('Page notification suppressed:', details);
+    chrome.runtime.sendMessage({
+      action: 'pageNotificationSuppressed',
+      kind: details.kind,
+      title: details.title,
+      body: details.body,
+      rule: details.rule
+    }, (response) => {
+      if (!response || !response.success) {
+        logDebug('Error reporting suppressed notification:', chrome.runtime.lastError?.message);
+      }
+    });
+  }
+  
+  // The page shares page-notifications.js's world and can fire the ready event too, so it is
+  // answered only once per page load rather than handing the rules to whoever asks
+  document.addEventListener(PAGE_READY_EVENT, sendNotificationRules, { once: true });
+  document.addEventListener(NOTIFICATION_SUPPRESSED_EVENT, onNotificationSuppressed);
+  
+  // Either script can start first: this reaches page-notifications.js if it is already
+  // listening, and otherwise its ready event asks for the rules again
+  sendNotificationRules();
+
+  const originalConsoleLog = console.log;
+  const originalConsoleInfo = console.info;
+  let consoleOverridden = false;
+  
+  // Improved console message suppression with better error handling
+  function overrideConsole() {
+    if (consoleOverridden) return;
+    try {
+      // Check if message is download-related
+      function isDownloadMessage(args) {
+        if (!args || !args.length) return false;
         
-        // Check body
-        if (options && options.body && typeof options.body === 'string') {
-          const lowerBody = options.body.toLowerCase();
-          if (downloadKeywords.some(keyword => lowerBody.includes(keyword))) {
-            logDebug('Suppressing notification with body containing download keyword');
-            return true;
+        const joinedMessage = args.map(arg => {
+          if (typeof arg === 'string') return arg.toLowerCase();
+          if (arg && typeof arg === 'object') {
+            try {
+              return JSON.stringify(arg).toLowerCase();
+            } catch (e) {
+              return '';
+            }
           }
-        }
+          return '';
+        }).join(' ');
         
-        return false;
+        return joinedMessage.includes('download');
       }
       
-      window.Notification = function(title, options) {
-        if (isDownloadNotification(title, options)) {
-          // Return a more complete no-op notification object
-          return {
-            close: () => {},
-            addEventListener: () => {},
-            removeEventListener: () => {},
-            dispatchEvent: () => false,
-            onshow: null,
-            onclick: null,
-            onclose: null,
-            onerror: null
-          };
+      console.log = function(...args) {
+        // Don't filter our own debug logs
+        if (args[0] && typeof args[0] === 'string' &&
+            args[0].includes('[Silent Downloads]')) {
+          originalConsoleLog.apply(console, args);
+        } else if (!isDownloadMessage(args)) {
+          originalConsoleLog.apply(console, args);
         }
-        return new originalNotification(title, options);
       };
       
-      // Properly copy all static properties and prototype
-      Object.setPrototypeOf(window.Notification, originalNotification);
-      
-      // Copy all static properties and methods
-      for (const prop in originalNotification) {
-        if (originalNotification.hasOwnProperty(prop)) {
-          window.Notification[prop] = originalNotification[prop];
+      console.info = function(...args) {
+        if (!isDownloadMessage(args)) {
+          originalConsoleInfo.apply(console, args);
         }
-      }
+      };
       
-      logDebug('Notification API successfully overridden');
+      consoleOverridden = true;
+      logDebug('Console methods successfully overridden');
     } catch (error) {
-      logDebug('Error overriding Notification API:', error);
+      // If there's an error, restore original console methods
+      restoreConsole();
+      
+      // Log error using native console
+      console.error('Error overriding console methods:', error);
     }
   }
-
-  // Improved console message suppression with better error handling
-  try {
-    const originalConsoleLog = console.log;
-    const originalConsoleInfo = console.info;
+  
+  function restoreConsole() {
+    console.log = originalConsoleLog;
+    console.info = originalConsoleInfo;
+    consoleOverridden = false;
+  }
+  
+  // Build a short selector that picks out this element on the page, preferring ids
+  // and stable class names over position
+  function buildSelector(element) {
+    const parts = [];
+    let node = element;
     
-    // Check if message is download-related
-    function isDownloadMessage(args) {
-      if (!args || !args.length) return false;
+    while (node && node.nodeType === 1 && node !== document.documentElement) {
+      if (node.id && !/\d{3,}/.test(node.id)) {
+        parts.unshift(`#${CSS.escape(node.id)}`);
+        break;
+      }
       
-      const joinedMessage = args.map(arg => {
-        if (typeof arg === 'string') return arg.toLowerCase();
-        if (arg && typeof arg === 'object') {
-          try {
-            return JSON.stringify(arg).toLowerCase();
-          } catch (e) {
-            return '';
-          }
+      // Skip generated class names, which tend to carry long runs of digits
+      const classes = Array.from(node.classList).filter(name => !/\d{3,}/.test(name)).slice(0, 2);
+      let part = node.tagName.toLowerCase() + classes.map(name => `.${CSS.escape(name)}`).join('');
+      
+      const parent = node.parentElement;
+      if (parent) {
+        const twins = Array.from(parent.children).filter(child => child.matches(part));
+        if (twins.length > 1) {
+          const sameTag = Array.from(parent.children).filter(child => child.tagName === node.tagName);
+          part += `:nth-of-type(${sameTag.indexOf(node) + 1})`;
         }
-        return '';
-      }).join(' ');
+      }
       
-      return joinedMessage.includes('download');
+      parts.unshift(part);
+      if (document.querySelectorAll(parts.join(' > ')).length === 1) break;
+      node = parent;
     }
     
-    console.log = function(...args) {
-      // Don't filter our own debug logs
-      if (args[0] && typeof args[0] === 'string' &&
-          args[0].includes('[Silent Downloads]')) {
-        originalConsoleLog.apply(console, args);
-      } else if (!isDownloadMessage(args)) {
-        originalConsoleLog.apply(console, args);
+    return parts.join(' > ');
+  }
+  
+  // Element picker: highlight whatever is under the pointer and save a hide rule
+  // for this site on click. Escape cancels.
+  let picker = null;
+  
+  function startElementPicker() {
+    if (picker) return;
+    
+    const highlight = document.createElement('div');
+    highlight.setAttribute('data-silent-downloads-picker', 'true');
+    Object.assign(highlight.style, {
+      position: 'fixed',
+      zIndex: '2147483647',
+      pointerEvents: 'none',
+      background: 'rgba(66, 133, 244, 0.25)',
+      outline: '2px solid #4285f4',
+      font: '12px sans-serif',
+      color: '#fff',
+      display: 'none'
+    });
+    const label = document.createElement('span');
+    Object.assign(label.style, {
+      position: 'absolute',
+      bottom: '100%',
+      left: '0',
+      background: '#4285f4',
+      padding: '2px 6px',
+      whiteSpace: 'nowrap'
+    });
+    highlight.appendChild(label);
+    document.documentElement.appendChild(highlight);
+    
+    picker = { highlight, label, target: null };
+    
+    document.addEventListener('mouseover', onPickerMove, true);
+    document.addEventListener('click', onPickerClick, true);
+    document.addEventListener('keydown', onPickerKey, true);
+    logDebug('Element picker started');
+  }
+  
+  function stopElementPicker() {
+    if (!picker) return;
+    document.removeEventListener('mouseover', onPickerMove, true);
+    document.removeEventListener('click', onPickerClick, true);
+    document.removeEventListener('keydown', onPickerKey, true);
+    picker.highlight.remove();
+    picker = null;
+    logDebug('Element picker stopped');
+  }
+  
+  function onPickerMove(event) {
+    const target = event.target;
+    if (!target || target.nodeType !== 1 || target === document.documentElement || target === document.body) return;
+    
+    const rect = target.getBoundingClientRect();
+    picker.target = target;
+    Object.assign(picker.highlight.style, {
+      display: 'block',
+      top: `${rect.top}px`,
+      left: `${rect.left}px`,
+      width: `${rect.width}px`,
+      height: `${rect.height}px`
+    });
+    picker.label.textContent = buildSelector(target);
+  }
+  
+  function onPickerClick(event) {
+    event.preventDefault();
+    event.stopPropagation();
+    
+    const target = picker.target;
+    stopElementPicker();
+    if (!target) return;
+    
+    const selector = buildSelector(target);
+    hideElement(target, { display: 'none' }, selector);
+    chrome.runtime.sendMessage({action: 'addHidingRule', pattern: location.hostname.toLowerCase(), selector}, (response) => {
+      if (!response || !response.success) {
+        logDebug('Error saving hiding rule:', response?.error || chrome.runtime.lastError?.message);
       }
-    };
+    });
+  }
+  
+  function onPickerKey(event) {
+    if (event.key !== 'Escape') return;
+    event.preventDefault();
+    event.stopPropagation();
+    stopElementPicker();
+  }
+  
+  // Hidden elements last reported to the popup, by the id it refers to them with
+  let reportedElements = new Map();
+  
+  // Short, readable description of an element for the popup
+  function describeElement(element) {
+    let description = element.tagName.toLowerCase();
+    if (element.id) description += `#${element.id}`;
+    description += Array.from(element.classList).slice(0, 3).map(name => `.${name}`).join('');
     
-    console.info = function(...args) {
-      if (!isDownloadMessage(args)) {
-        originalConsoleInfo.apply(console, args);
+    const text = (element.textContent || '').replace(/\s+/g, ' ').trim();
+    return { description, text: text.length > 60 ? `${text.slice(0, 57)}...` : text };
+  }
+  
+  // Everything this script is hiding right now: elements hidden by the sweep (which the observer
+  // also triggers) and elements the stylesheet matches, each with the selector or keyword responsible
+  function listHiddenElements() {
+    const found = new Map();
+    if (!hidingActive) return found;
+    
+    pruneHiddenElements();
+    hiddenElements.forEach((entry, element) => {
+      found.set(element, { reason: entry.reason || 'hidden by the page sweep', source: 'script' });
+    });
+    
+    [...hiddenSelectors, ...siteRules.hide].forEach(selector => {
+      let matches;
+      try {
+        matches = document.querySelectorAll(`:is(${selector})${exclusionSelector()}`);
+      } catch (error) {
+        return;
       }
-    };
+      matches.forEach(element => {
+        if (!found.has(element)) found.set(element, { reason: selector, source: 'stylesheet' });
+      });
+    });
     
-    logDebug('Console methods successfully overridden');
-  } catch (error) {
-    // If there's an error, restore original console methods
-    if (typeof originalConsoleLog !== 'undefined') {
-      console.log = originalConsoleLog;
+    return found;
+  }
+  
+  function reportHiddenElements() {
+    reportedElements = new Map();
+    const elements = [];
+    
+    listHiddenElements().forEach((entry, element) => {
+      const id = reportedElements.size + 1;
+      reportedElements.set(id, element);
+      elements.push({ id, ...describeElement(element), ...entry });
+    });
+    
+    return elements;
+  }
+  
+  // Show a hidden element again. With "permanent", also add a "never hide" selector for this site.
+  function restoreReportedElement(id, permanent, sendResponse) {
+    const element = reportedElements.get(id);
+    if (!element || !element.isConnected) {
+      sendResponse({success: false, error: 'That element is no longer on the page'});
+      return false;
     }
-    if (typeof originalConsoleInfo !== 'undefined') {
-      console.info = originalConsoleInfo;
+    
+    element.setAttribute(RESTORED_ATTRIBUTE, 'true');
+    unhideElement(element);
+    element.querySelectorAll('*').forEach(unhideElement);
+    logDebug('Restored hidden element', element);
+    
+    if (!permanent) {
+      sendResponse({success: true});
+      return false;
+    }
+    
+    const selector = buildSelector(element);
+    chrome.runtime.sendMessage({action: 'addHidingRule', pattern: location.hostname.toLowerCase(), selector, list: 'exclude'}, (response) => {
+      sendResponse(response && response.success
+        ? {success: true, selector}
+        : {success: false, error: response?.error || chrome.runtime.lastError?.message});
+    });
+    return true;
+  }
+  
+  // Requests from the popup for the page in this tab
+  function onRuntimeMessage(request, sender, sendResponse) {
+    if (request.action === 'startElementPicker') {
+      startElementPicker();
+      sendResponse({success: true});
+    } else if (request.action === 'getHiddenElements') {
+      sendResponse({success: true, active: hidingActive, elements: reportHiddenElements(), stats: observerStats});
+    } else if (request.action === 'restoreHiddenElement') {
+      return restoreReportedElement(request.id, request.permanent === true, sendResponse);
+    }
+    return false;
+  }
+  
+  // Attach or detach each feature to match the published settings
+  function applyPageSettings(settings) {
+    pageSettings = settings;
+    const silent = settings.silent !== false;
+    
+    const rules = resolveSiteRules(settings.hidingRules);
+    if (JSON.stringify(rules) !== JSON.stringify(siteRules)) {
+      siteRules = rules;
+      selectorIndex = null;
+      style.textContent = buildStyleSheet();
+      if (hidingActive) {
+        // Re-sweep so newly excluded elements come back and new selectors apply
+        restoreHiddenElements();
+        onDocumentReady(runSweep);
+      }
+    }
+    
+    if (silent && settings.hideDownloadBar !== false) {
+      attachHiding();
+    } else {
+      detachHiding();
     }
     
-    // Log error using native console
-    console.error('Error overriding console methods:', error);
+    const hideNotifications = silent && settings.hideNotifications !== false;
+    notificationRules = {
+      enabled: hideNotifications,
+      rules: settings.pageNotificationRules || SettingsSchema.defaults.pageNotificationRules,
+      blockPrompts: hideNotifications && settings.blockNotificationPrompts === true,
+      settingsLoaded: true
+    };
+    sendNotificationRules();
+    
+    if (hideNotifications) {
+      overrideConsole();
+    } else if (consoleOverridden) {
+      restoreConsole();
+    }
+    
+    logDebug('Page settings applied', pageSettings);
+  }
+  
+  // Load the settings as early as possible and follow them without a reload.
+  // Before the background has published anything, fall back to the defaults (everything on).
+  const DEFAULT_PAGE_SETTINGS = { silent: true, hideDownloadBar: true, hideNotifications: true };
+  
+  function onStorageChanged(changes, areaName) {
+    if (areaName === 'local' && changes.pageSettings) {
+      applyPageSettings(changes.pageSettings.newValue || DEFAULT_PAGE_SETTINGS);
+    }
+  }
+  
+  try {
+    chrome.storage.local.get(['pageSettings'], (result) => {
+      if (chrome.runtime.lastError) {
+        logDebug('Error loading page settings:', chrome.runtime.lastError.message);
+      }
+      applyPageSettings(result?.pageSettings || DEFAULT_PAGE_SETTINGS);
+    });
+    chrome.storage.onChanged.addListener(onStorageChanged);
+    chrome.runtime.onMessage.addListener(onRuntimeMessage);
+  } catch (error) {
+    // The extension was reloaded underneath this page
+    logDebug('Error reading page settings:', error);
   }
   
   // Cleanup function to prevent memory leaks
   function cleanup() {
     try {
-      if (observer) {
-        observer.disconnect();
-      }
+      stopObserver();
+      chrome.storage.onChanged.removeListener(onStorageChanged);
+      chrome.runtime.onMessage.removeListener(onRuntimeMessage);
+      document.removeEventListener(PAGE_READY_EVENT, sendNotificationRules);
+      document.removeEventListener(NOTIFICATION_SUPPRESSED_EVENT, onNotificationSuppressed);
+      stopElementPicker();
       logDebug('Resources cleaned up');
     } catch (error) {
       console.error('Error during cleanup:', error);
@@ -0,0 +1,133 @@
+// filename-template.js - Filename template expansion shared by the background worker and options page
+
+const FilenameTemplate = (() => {
+  // Extensions for common MIME types, used by the {ext} token
+  const mimeExtensions = {
+    'application/pdf': '.pdf',
+    'application/zip': '.zip',
+    'application/x-zip-compressed': '.zip',
+    'application/gzip': '.gz',
+    'application/x-7z-compressed': '.7z',
+    'application/x-rar-compressed': '.rar',
+    'application/x-tar': '.tar',
+    'application/json': '.json',
+    'application/xml': '.xml',
+    'application/msword': '.doc',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document': '.docx',
+    'application/vnd.ms-excel': '.xls',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': '.xlsx',
+    'application/vnd.ms-powerpoint': '.ppt',
+    'application/vnd.openxmlformats-officedocument.presentationml.presentation': '.pptx',
+    'application/x-msdownload': '.exe',
+    'application/x-msi': '.msi',
+    'application/x-apple-diskimage': '.dmg',
+    'text/plain': '.txt',
+    'text/csv': '.csv',
+    'text/html': '.html',
+    'image/jpeg': '.jpg',
+    'image/png': '.png',
+    'image/gif': '.gif',
+    'image/webp': '.webp',
+    'image/svg+xml': '.svg',
+    'audio/mpeg': '.mp3',
+    'video/mp4': '.mp4',
+    'video/webm': '.webm'
+  };
+  
+  // Tokens supported in templates, with a short description for the options page
+  const tokens = {
+    '{yyyy}': 'Four-digit year',
+    '{mm}': 'Two-digit month',
+    '{dd}': 'Two-digit day',
+    '{hh}': 'Two-digit hour (24h)',
+    '{min}': 'Two-digit minute',
+    '{domain}': 'Host the file was downloaded from',
+    '{referrer}': 'Host of the page that linked to the file',
+    '{name}': 'Original filename without extension',
+    '{ext}': 'Extension (from the MIME type when known), including the dot',
+    '{counter}': 'Per-day download counter',
+    '{hash}': 'Short hash of the download URL'
+  };
+  
+  function pad(value, length = 2) {
+    return String(value).padStart(length, '0');
+  }
+  
+  function getHost(url) {
+    try {
+      return new URL(url).hostname;
+    } catch (error) {
+      return '';
+    }
+  }
+  
+  // Split "archive.tar.gz" into { name: "archive.tar", ext: ".gz" }
+  function splitFilename(filename) {
+    const dotIndex = filename.lastIndexOf('.');
+    if (dotIndex <= 0) return { name: filename, ext: '' };
+    return { name: filename.slice(0, dotIndex), ext: filename.slice(dotIndex) };
+  }
+  
+  function extensionForMime(mime) {
+    if (!mime) return '';
+    return mimeExtensions[mime.split(';')[0].trim().toLowerCase()] || '';
+  }
+  
+  // FNV-1a hash, returned as 8 hex characters
+  function hashString(value) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < value.length; i++) {
+      hash ^= value.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16).padStart(8, '0');
+  }
+  
+  // Token values must not introduce path separators
+  function clean(value) {
+    return String(value).replace(/[\\/]/g, '_');
+  }
+  
+  // The {counter} resets each local day, so key it by the same date the tokens use
+  function counterDay(date) {
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+  
+  function usesCounter(template) {
+    return typeof template === 'string' && template.includes('{counter}');
+  }
+  
+  // Expand a template for a download.
+  // context: { filename, url, referrer, mime, date, counter }
+  function expand(template, context) {
+    const { name, ext } = splitFilename(context.filename || '');
+    const date = context.date || new Date();
+    
+    const values = {
+      '{yyyy}': date.getFullYear(),
+      '{mm}': pad(date.getMonth() + 1),
+      '{dd}': pad(date.getDate()),
+      '{hh}': pad(date.getHours()),
+      '{min}': pad(date.getMinutes()),
+      '{domain}': getHost(context.url) || 'unknown',
+      '{referrer}': getHost(context.referrer) || 'direct',
+      '{name}': name,
+      '{ext}': extensionForMime(context.mime) || ext,
+      '{counter}': pad(context.counter || 1, 3),
+      '{hash}': hashString(context.url || '')
+    };
+    
+    return template.replace(/\{[a-z]+\}/g, token =>
+      Object.prototype.hasOwnProperty.call(values, token) ? clean(values[token]) : token
+    );
+  }
+  
+  return {
+    expand,
+    usesCounter,
+    counterDay,
+    extensionForMime,
+    hashString,
+    tokens
+  };
+})();
\ No newline at end of file
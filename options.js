@@ -4,24 +4,147 @@ document.addEventListener('DOMContentLoaded', function() {
   // Get DOM elements
   const silentDownloadsCheckbox = document.getElementById('silentDownloads');
   const downloadPathInput = document.getElementById('downloadPath');
+  const downloadPathError = document.getElementById('downloadPathError');
+  const filenameTemplateInput = document.getElementById('filenameTemplate');
+  const templatePreview = document.getElementById('templatePreview');
+  const templateTokens = document.getElementById('templateTokens');
   const hideNotificationsCheckbox = document.getElementById('hideNotifications');
   const hideDownloadBarCheckbox = document.getElementById('hideDownloadBar');
   const autoStartCheckbox = document.getElementById('autoStart');
   const conflictActionSelect = document.getElementById('conflictAction');
+  const retryEnabledCheckbox = document.getElementById('retryEnabled');
+  const retryMaxAttemptsInput = document.getElementById('retryMaxAttempts');
+  const retryBaseDelayInput = document.getElementById('retryBaseDelay');
+  const floodProtectionCheckbox = document.getElementById('floodProtectionEnabled');
+  const floodThresholdInput = document.getElementById('floodThreshold');
+  const floodWindowInput = document.getElementById('floodWindow');
+  const floodActionSelect = document.getElementById('floodAction');
+  const queueEnabledCheckbox = document.getElementById('queueEnabled');
+  const queueMaxConcurrentInput = document.getElementById('queueMaxConcurrent');
+  const queueHostLimitsContainer = document.getElementById('queueHostLimits');
   const showDebugLogsCheckbox = document.getElementById('showDebugLogs');
   const logsSection = document.getElementById('logsSection');
   const logsContainer = document.getElementById('logs');
+  const routingRulesContainer = document.getElementById('routingRules');
+  const addRuleBtn = document.getElementById('addRuleBtn');
+  const folderShortcutsContainer = document.getElementById('folderShortcuts');
+  const sitePoliciesContainer = document.getElementById('sitePolicies');
+  const suppressionRulesContainer = document.getElementById('suppressionRules');
+  const hidingRulesContainer = document.getElementById('hidingRules');
+  const pageNotificationRulesContainer = document.getElementById('pageNotificationRules');
+  const blockNotificationPromptsCheckbox = document.getElementById('blockNotificationPrompts');
+  const addSuppressionRuleBtn = document.getElementById('addSuppressionRuleBtn');
+  const suppressionWindowInput = document.getElementById('suppressionWindow');
+  const suppressionDryRunCheckbox = document.getElementById('suppressionDryRun');
+  const digestEnabledCheckbox = document.getElementById('digestEnabled');
+  const digestWindowInput = document.getElementById('digestWindow');
+  const digestTriggerCountInput = document.getElementById('digestTriggerCount');
+  const addPolicyBtn = document.getElementById('addPolicyBtn');
+  const safetyEnabledCheckbox = document.getElementById('safetyEnabled');
+  const safetyCategoriesContainer = document.getElementById('safetyCategories');
+  const safetyExceptionsInput = document.getElementById('safetyExceptions');
+  const scheduleEnabledCheckbox = document.getElementById('scheduleEnabled');
+  const scheduleTimezoneSelect = document.getElementById('scheduleTimezone');
+  const scheduleWindowsContainer = document.getElementById('scheduleWindows');
+  const addScheduleWindowBtn = document.getElementById('addScheduleWindowBtn');
   const clearLogsBtn = document.getElementById('clearLogs');
+  const historySearchInput = document.getElementById('historySearch');
+  const historyStateSelect = document.getElementById('historyState');
+  const historySilentSelect = document.getElementById('historySilent');
+  const historyRows = document.getElementById('historyRows');
+  const historyCount = document.getElementById('historyCount');
+  const exportBtn = document.getElementById('exportBtn');
+  const importBtn = document.getElementById('importBtn');
+  const importFileInput = document.getElementById('importFile');
+  const importReport = document.getElementById('importReport');
+  const profileSelect = document.getElementById('profileSelect');
   const saveBtn = document.getElementById('saveBtn');
   const statusEl = document.getElementById('status');
 
   // Load settings
   loadSettings();
+  loadProfiles();
 
   // Event listeners
   saveBtn.addEventListener('click', saveSettings);
   clearLogsBtn.addEventListener('click', clearLogs);
+  addRuleBtn.addEventListener('click', () => {
+    routingRulesContainer.appendChild(createRuleRow({}));
+    updateRulesPlaceholder();
+  });
+  document.getElementById('addShortcutBtn').addEventListener('click', () => {
+    folderShortcutsContainer.appendChild(createShortcutRow({}));
+  });
+  document.getElementById('addHidingRuleBtn').addEventListener('click', () => {
+    hidingRulesContainer.appendChild(createHidingRow({}));
+  });
+  addSuppressionRuleBtn.addEventListener('click', () => {
+    suppressionRulesContainer.appendChild(createPatternRow({}, suppressionFields));
+  });
+  document.getElementById('addPageNotificationRuleBtn').addEventListener('click', () => {
+    pageNotificationRulesContainer.appendChild(createPatternRow({}, pageNotificationFields));
+  });
+  addPolicyBtn.addEventListener('click', () => {
+    sitePoliciesContainer.appendChild(createPolicyRow({ pattern: '', policy: 'silent' }));
+    updatePoliciesPlaceholder();
+  });
+  document.getElementById('addHostLimitBtn').addEventListener('click', () => {
+    queueHostLimitsContainer.appendChild(createHostLimitRow({ pattern: '', limit: 1 }));
+  });
+  document.getElementById('addSafetyCategoryBtn').addEventListener('click', () => {
+    safetyCategoriesContainer.appendChild(createSafetyRow({ action: 'prompt' }));
+  });
+  addScheduleWindowBtn.addEventListener('click', () => {
+    scheduleWindowsContainer.appendChild(createScheduleRow({ day: 1, start: '09:00', end: '17:00' }));
+    updateSchedulePlaceholder();
+  });
   showDebugLogsCheckbox.addEventListener('change', toggleLogsSection);
+  filenameTemplateInput.addEventListener('input', updateTemplatePreview);
+  downloadPathInput.addEventListener('input', () => validatePathInput(downloadPathInput, downloadPathError));
+  profileSelect.addEventListener('change', () => {
+    sendProfileAction({ action: 'switchProfile', id: profileSelect.value }, 'Switched profile');
+  });
+  document.getElementById('newProfileBtn').addEventListener('click', () => {
+    const name = prompt('Name for the new profile:');
+    if (name !== null) sendProfileAction({ action: 'createProfile', name }, `Created profile "${name.trim()}"`);
+  });
+  document.getElementById('duplicateProfileBtn').addEventListener('click', () => {
+    const name = prompt('Name for the copy:', `${selectedProfileName()} copy`);
+    if (name !== null) {
+      sendProfileAction({ action: 'createProfile', name, copyFrom: profileSelect.value }, `Created profile "${name.trim()}"`);
+    }
+  });
+  document.getElementById('renameProfileBtn').addEventListener('click', () => {
+    const name = prompt('New profile name:', selectedProfileName());
+    if (name !== null) sendProfileAction({ action: 'renameProfile', id: profileSelect.value, name }, 'Profile renamed');
+  });
+  document.getElementById('deleteProfileBtn').addEventListener('click', () => {
+    if (confirm(`Delete the profile "${selectedProfileName()}" and its settings?`)) {
+      sendProfileAction({ action: 'deleteProfile', id: profileSelect.value }, 'Profile deleted');
+    }
+  });
+  exportBtn.addEventListener('click', exportSettings);
+  importBtn.addEventListener('click', () => importFileInput.click());
+  importFileInput.addEventListener('change', importSettings);
+  historySearchInput.addEventListener('input', renderHistory);
+  historyStateSelect.addEventListener('change', renderHistory);
+  historySilentSelect.addEventListener('change', renderHistory);
+  document.getElementById('refreshHistoryBtn').addEventListener('click', loadHistory);
+  document.getElementById('clearHistoryBtn').addEventListener('click', clearHistory);
+  document.getElementById('exportHistoryCsvBtn').addEventListener('click', () => exportHistory('csv'));
+  document.getElementById('exportHistoryJsonBtn').addEventListener('click', () => exportHistory('json'));
+  
+  // The digest's "View failures" button links straight to failed downloads
+  if (location.hash === '#history-failed') {
+    historyStateSelect.value = 'interrupted';
+    document.getElementById('history').scrollIntoView();
+  }
+  
+  let historyEntries = [];
+  loadHistory();
+  
+  renderTemplateTokens();
+  renderTimezoneOptions();
 
   // Load current settings from storage
   function loadSettings() {
@@ -34,9 +157,42 @@ document.addEventListener('DOMContentLoaded', function() {
       // Set form values
       silentDownloadsCheckbox.checked = response.silentDownloads !== false;
       downloadPathInput.value = response.defaultPath || '';
+      filenameTemplateInput.value = response.filenameTemplate || '';
+      updateTemplatePreview();
       hideNotificationsCheckbox.checked = response.hideNotifications !== false;
       hideDownloadBarCheckbox.checked = response.hideDownloadBar !== false;
       autoStartCheckbox.checked = response.autoStart !== false;
+      retryEnabledCheckbox.checked = response.retryEnabled !== false;
+      retryMaxAttemptsInput.value = response.retryMaxAttempts;
+      retryBaseDelayInput.value = response.retryBaseDelay;
+      floodProtectionCheckbox.checked = response.floodProtectionEnabled !== false;
+      floodThresholdInput.value = response.floodThreshold;
+      floodWindowInput.value = response.floodWindow;
+      floodActionSelect.value = response.floodAction || 'pause';
+      queueEnabledCheckbox.checked = response.queueEnabled === true;
+      queueMaxConcurrentInput.value = response.queueMaxConcurrent;
+      queueHostLimitsContainer.innerHTML = '';
+      (response.queueHostLimits || []).forEach(entry => queueHostLimitsContainer.appendChild(createHostLimitRow(entry)));
+      renderRules(response.routingRules || []);
+      folderShortcutsContainer.innerHTML = '';
+      (response.folderShortcuts || []).forEach(shortcut => folderShortcutsContainer.appendChild(createShortcutRow(shortcut)));
+      renderPolicies(response.sitePolicies || []);
+      renderPatternRules(suppressionRulesContainer, response.suppressionRules || [], suppressionFields);
+      renderPatternRules(pageNotificationRulesContainer, response.pageNotificationRules || [], pageNotificationFields);
+      blockNotificationPromptsCheckbox.checked = response.blockNotificationPrompts === true;
+      hidingRulesContainer.innerHTML = '';
+      (response.hidingRules || []).forEach(rule => hidingRulesContainer.appendChild(createHidingRow(rule)));
+      suppressionWindowInput.value = response.suppressionWindow;
+      suppressionDryRunCheckbox.checked = response.suppressionDryRun === true;
+      digestEnabledCheckbox.checked = response.digestEnabled === true;
+      digestWindowInput.value = response.digestWindow;
+      digestTriggerCountInput.value = response.digestTriggerCount;
+      safetyEnabledCheckbox.checked = response.safetyEnabled !== false;
+      renderSafetyCategories(response.safetyCategories || []);
+      safetyExceptionsInput.value = (response.safetyExceptions || []).join(', ');
+      scheduleEnabledCheckbox.checked = response.scheduleEnabled === true;
+      scheduleTimezoneSelect.value = response.scheduleTimezone || '';
+      renderScheduleWindows(response.scheduleWindows || []);
       
       // Set conflict action if available
       if (response.conflictAction) {
@@ -56,16 +212,106 @@ document.addEventListener('DOMContentLoaded', function() {
     });
   }
 
+  // Fill the profile picker, selecting the active profile
+  function renderProfiles(profiles, activeProfile) {
+    profileSelect.innerHTML = '';
+    profiles.forEach(profile => {
+      const option = document.createElement('option');
+      option.value = profile.id;
+      option.textContent = profile.name;
+      profileSelect.appendChild(option);
+    });
+    profileSelect.value = activeProfile;
+    document.getElementById('deleteProfileBtn').disabled = profiles.length < 2;
+  }
+  
+  function loadProfiles() {
+    chrome.runtime.sendMessage({ action: 'getProfiles' }, (response) => {
+      if (response && response.success) renderProfiles(response.profiles, response.activeProfile);
+    });
+  }
+  
+  function selectedProfileName() {
+    return profileSelect.selectedOptions[0] ? profileSelect.selectedOptions[0].textContent : '';
+  }
+  
+  // Run a profile action, then reload the form since the active profile may have changed
+  function sendProfileAction(message, successMessage) {
+    chrome.runtime.sendMessage(message, (response) => {
+      if (response && response.success) {
+        renderProfiles(response.profiles, response.activeProfile);
+        loadSettings();
+        showStatus(successMessage, 'success');
+      } else {
+        loadProfiles();
+        showStatus('Error: ' + (response?.error || 'Unknown error'), 'error');
+      }
+    });
+  }
+  
+  // Show path problems next to the input, returning the validation result
+  function validatePathInput(input, errorEl) {
+    const validation = PathValidator.validateDirectory(input.value);
+    input.classList.toggle('invalid', !validation.valid);
+    errorEl.textContent = validation.errors.join('. ');
+    errorEl.classList.toggle('hidden', validation.valid);
+    return validation;
+  }
+  
   // Save settings
   function saveSettings() {
+    const pathValidation = validatePathInput(downloadPathInput, downloadPathError);
+    const rulesValid = validateRuleFolders();
+    const shortcutsValid = validateShortcutFolders();
+    if (!pathValidation.valid || !rulesValid || !shortcutsValid) {
+      showStatus('Please fix the highlighted paths before saving', 'error');
+      return;
+    }
+    if (!validateHidingRules()) {
+      showStatus('Please fix the highlighted selectors before saving', 'error');
+      return;
+    }
+    
+    const retryMaxAttempts = readNumberSetting(retryMaxAttemptsInput, 'retryMaxAttempts');
+    const retryBaseDelay = readNumberSetting(retryBaseDelayInput, 'retryBaseDelay');
+    
     const settings = {
       action: 'saveSettings',
       silentDownloads: silentDownloadsCheckbox.checked,
-      defaultPath: downloadPathInput.value.trim(),
+      defaultPath: pathValidation.normalized,
+      filenameTemplate: filenameTemplateInput.value.trim(),
       hideNotifications: hideNotificationsCheckbox.checked,
       hideDownloadBar: hideDownloadBarCheckbox.checked,
       autoStart: autoStartCheckbox.checked,
-      conflictAction: conflictActionSelect.value
+      conflictAction: conflictActionSelect.value,
+      retryEnabled: retryEnabledCheckbox.checked,
+      retryMaxAttempts,
+      retryBaseDelay,
+      floodProtectionEnabled: floodProtectionCheckbox.checked,
+      floodThreshold: readNumberSetting(floodThresholdInput, 'floodThreshold'),
+      floodWindow: readNumberSetting(floodWindowInput, 'floodWindow'),
+      floodAction: floodActionSelect.value,
+      queueEnabled: queueEnabledCheckbox.checked,
+      queueMaxConcurrent: readNumberSetting(queueMaxConcurrentInput, 'queueMaxConcurrent'),
+      queueHostLimits: collectHostLimits(),
+      routingRules: collectRules(),
+      folderShortcuts: collectShortcuts(),
+      sitePolicies: collectPolicies(),
+      suppressionRules: collectPatternRules(suppressionRulesContainer, suppressionFields),
+      pageNotificationRules: collectPatternRules(pageNotificationRulesContainer, pageNotificationFields),
+      blockNotificationPrompts: blockNotificationPromptsCheckbox.checked,
+      hidingRules: collectHidingRules(),
+      suppressionWindow: readNumberSetting(suppressionWindowInput, 'suppressionWindow'),
+      suppressionDryRun: suppressionDryRunCheckbox.checked,
+      digestEnabled: digestEnabledCheckbox.checked,
+      digestWindow: readNumberSetting(digestWindowInput, 'digestWindow'),
+      digestTriggerCount: readNumberSetting(digestTriggerCountInput, 'digestTriggerCount'),
+      safetyEnabled: safetyEnabledCheckbox.checked,
+      safetyCategories: collectSafetyCategories(),
+      safetyExceptions: safetyExceptionsInput.value.split(',').map(item => item.trim().toLowerCase()).filter(Boolean),
+      scheduleEnabled: scheduleEnabledCheckbox.checked,
+      scheduleWindows: collectScheduleWindows(),
+      scheduleTimezone: scheduleTimezoneSelect.value
     };
     
     chrome.runtime.sendMessage(settings, (response) => {
@@ -82,6 +328,924 @@ document.addEventListener('DOMContentLoaded', function() {
     });
   }
   
+  // Example download used for the template preview
+  const previewDownload = {
+    filename: 'quarterly-report.pdf',
+    url: 'https://files.example.com/exports/quarterly-report.pdf',
+    referrer: 'https://intranet.example.com/reports',
+    mime: 'application/pdf',
+    counter: 1
+  };
+  
+  // Show what the current template produces for the example download
+  function updateTemplatePreview() {
+    const template = filenameTemplateInput.value.trim();
+    templatePreview.textContent = template
+      ? FilenameTemplate.expand(template, { ...previewDownload, date: new Date() })
+      : previewDownload.filename;
+  }
+  
+  // List the available template tokens
+  function renderTemplateTokens() {
+    templateTokens.innerHTML = '';
+    Object.entries(FilenameTemplate.tokens).forEach(([token, description]) => {
+      const line = document.createElement('div');
+      const code = document.createElement('code');
+      code.textContent = token;
+      line.append(code, ` ${description}`);
+      templateTokens.appendChild(line);
+    });
+  }
+  
+  // Fields shown for each routing rule; list fields are edited as comma-separated text
+  const ruleFields = [
+    { key: 'name', label: 'Name', placeholder: 'e.g., Documents' },
+    { key: 'folder', label: 'Target folder', placeholder: 'e.g., Installers/{domain}' },
+    { key: 'extensions', label: 'File extensions', placeholder: 'e.g., pdf, docx', list: true },
+    { key: 'mimeTypes', label: 'MIME types', placeholder: 'e.g., application/pdf, image/*', list: true },
+    { key: 'domains', label: 'Source domains', placeholder: 'e.g., *.example.com', list: true },
+    { key: 'referrers', label: 'Referrer domains', placeholder: 'e.g., mail.example.com', list: true },
+    { key: 'minSize', label: 'Minimum size (MB)', placeholder: 'any', size: true },
+    { key: 'maxSize', label: 'Maximum size (MB)', placeholder: 'any', size: true }
+  ];
+  
+  const BYTES_PER_MB = 1024 * 1024;
+  
+  // Render the routing rule editor
+  function renderRules(rules) {
+    routingRulesContainer.innerHTML = '';
+    rules.forEach(rule => routingRulesContainer.appendChild(createRuleRow(rule)));
+    updateRulesPlaceholder();
+  }
+  
+  // Show a hint when no rules exist
+  function updateRulesPlaceholder() {
+    const existingNote = routingRulesContainer.querySelector('.empty-note');
+    const hasRules = routingRulesContainer.querySelector('.rule-row') !== null;
+    
+    if (!hasRules && !existingNote) {
+      const note = document.createElement('div');
+      note.className = 'empty-note';
+      note.textContent = 'No rules yet. All downloads use the directory above.';
+      routingRulesContainer.appendChild(note);
+    } else if (hasRules && existingNote) {
+      existingNote.remove();
+    }
+  }
+  
+  // Build the editable row for a single rule
+  function createRuleRow(rule) {
+    const row = document.createElement('div');
+    row.className = 'rule-row';
+    
+    const fields = document.createElement('div');
+    fields.className = 'rule-fields';
+    
+    ruleFields.forEach(field => {
+      const label = document.createElement('label');
+      label.textContent = field.label;
+      
+      const input = document.createElement('input');
+      input.type = field.size ? 'number' : 'text';
+      input.className = 'path-input';
+      input.placeholder = field.placeholder;
+      input.dataset.key = field.key;
+      
+      if (field.size) {
+        input.min = '0';
+        input.step = 'any';
+        input.value = rule[field.key] ? rule[field.key] / BYTES_PER_MB : '';
+      } else if (field.list) {
+        input.value = (rule[field.key] || []).join(', ');
+      } else {
+        input.value = rule[field.key] || '';
+      }
+      
+      label.appendChild(input);
+      
+      if (field.key === 'folder') {
+        const error = document.createElement('div');
+        error.className = 'field-error hidden';
+        input.addEventListener('input', () => validatePathInput(input, error));
+        label.appendChild(error);
+      }
+      
+      fields.appendChild(label);
+    });
+    
+    const actions = document.createElement('div');
+    actions.className = 'rule-actions';
+    
+    const moveUpBtn = createSmallButton('Move Up', () => {
+      if (row.previousElementSibling) {
+        routingRulesContainer.insertBefore(row, row.previousElementSibling);
+      }
+    });
+    const moveDownBtn = createSmallButton('Move Down', () => {
+      if (row.nextElementSibling) {
+        routingRulesContainer.insertBefore(row.nextElementSibling, row);
+      }
+    });
+    const removeBtn = createSmallButton('Remove', () => {
+      row.remove();
+      updateRulesPlaceholder();
+    });
+    
+    actions.append(moveUpBtn, moveDownBtn, removeBtn);
+    row.append(fields, actions);
+    return row;
+  }
+  
+  function createSmallButton(text, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'small-btn';
+    button.textContent = text;
+    button.addEventListener('click', onClick);
+    return button;
+  }
+  
+  const suppressionFields = [
+    { key: 'titlePattern', placeholder: 'Title pattern, e.g. download|saved' },
+    { key: 'messagePattern', placeholder: 'Message pattern' },
+    { key: 'idPattern', placeholder: 'Notification id pattern' }
+  ];
+  
+  // Patterns for notifications that web pages create themselves
+  const pageNotificationFields = [
+    { key: 'titlePattern', placeholder: 'Title pattern, e.g. download|saved' },
+    { key: 'bodyPattern', placeholder: 'Body pattern' }
+  ];
+  
+  // Render a notification pattern rule editor
+  function renderPatternRules(container, rules, fields) {
+    container.innerHTML = '';
+    rules.forEach(rule => container.appendChild(createPatternRow(rule, fields)));
+  }
+  
+  function createPatternRow(rule, fields) {
+    const row = document.createElement('div');
+    row.className = 'policy-row';
+    
+    fields.forEach(field => {
+      const input = document.createElement('input');
+      input.type = 'text';
+      input.className = 'path-input';
+      input.placeholder = field.placeholder;
+      input.dataset.key = field.key;
+      input.value = rule[field.key] || '';
+      row.appendChild(input);
+    });
+    
+    row.appendChild(createSmallButton('Remove', () => row.remove()));
+    return row;
+  }
+  
+  // Read pattern rules back out of an editor, skipping empty rows
+  function collectPatternRules(container, fields) {
+    const rules = [];
+    
+    container.querySelectorAll('.policy-row').forEach(row => {
+      const rule = {};
+      fields.forEach(field => {
+        const value = row.querySelector(`[data-key="${field.key}"]`).value.trim();
+        if (value) rule[field.key] = value;
+      });
+      if (Object.keys(rule).length) rules.push(rule);
+    });
+    
+    return rules;
+  }
+  
+  const hidingFields = [
+    { key: 'pattern', label: 'Site', placeholder: 'e.g. example.com or *.example.com' },
+    { key: 'hide', label: 'Also hide', placeholder: 'Selectors, e.g. .promo-banner, #toast' },
+    { key: 'exclude', label: 'Never hide', placeholder: 'Selectors, e.g. main, .download-section' }
+  ];
+  
+  // Split a selector list on its top-level commas, leaving commas inside :is(...) or [attr="a,b"] alone
+  function splitSelectorList(value) {
+    const selectors = [];
+    let depth = 0;
+    let quote = '';
+    let current = '';
+    
+    for (const char of value) {
+      if (quote) {
+        if (char === quote) quote = '';
+      } else if (char === '"' || char === "'") {
+        quote = char;
+      } else if (char === '(' || char === '[') {
+        depth++;
+      } else if (char === ')' || char === ']') {
+        depth--;
+      } else if (char === ',' && depth === 0) {
+        selectors.push(current.trim());
+        current = '';
+        continue;
+      }
+      current += char;
+    }
+    selectors.push(current.trim());
+    
+    return selectors.filter(Boolean);
+  }
+  
+  function createHidingRow(rule) {
+    const row = document.createElement('div');
+    row.className = 'rule-row';
+    
+    const fields = document.createElement('div');
+    fields.className = 'rule-fields';
+    
+    hidingFields.forEach(field => {
+      const label = document.createElement('label');
+      label.textContent = field.label;
+      
+      const input = document.createElement('input');
+      input.type = 'text';
+      input.className = 'path-input';
+      input.placeholder = field.placeholder;
+      input.dataset.key = field.key;
+      input.value = field.key === 'pattern' ? rule.pattern || '' : (rule[field.key] || []).join(', ');
+      
+      label.appendChild(input);
+      fields.appendChild(label);
+    });
+    
+    const error = document.createElement('div');
+    error.className = 'field-error hidden';
+    fields.appendChild(error);
+    
+    const actions = document.createElement('div');
+    actions.className = 'rule-actions';
+    actions.appendChild(createSmallButton('Remove', () => row.remove()));
+    
+    row.append(fields, actions);
+    return row;
+  }
+  
+  // Check that every hiding rule has a site and selectors the browser can parse
+  function validateHidingRules() {
+    let allValid = true;
+    
+    hidingRulesContainer.querySelectorAll('.rule-row').forEach(row => {
+      const errors = [];
+      const pattern = row.querySelector('[data-key="pattern"]').value.trim();
+      const selectorInputs = ['hide', 'exclude'].map(key => row.querySelector(`[data-key="${key}"]`));
+      
+      if (!pattern && selectorInputs.some(input => input.value.trim())) errors.push('Enter the site this rule applies to');
+      selectorInputs.forEach(input => {
+        const invalid = splitSelectorList(input.value).filter(selector => {
+          try {
+            document.createDocumentFragment().querySelector(selector);
+            return false;
+          } catch (error) {
+            return true;
+          }
+        });
+        input.classList.toggle('invalid', invalid.length > 0);
+        invalid.forEach(selector => errors.push(`"${selector}" is not a valid selector`));
+      });
+      
+      const errorEl = row.querySelector('.field-error');
+      errorEl.textContent = errors.join('. ');
+      errorEl.classList.toggle('hidden', errors.length === 0);
+      if (errors.length) allValid = false;
+    });
+    
+    return allValid;
+  }
+  
+  // Read the hiding rules back out of the editor, skipping rows without selectors
+  function collectHidingRules() {
+    const rules = [];
+    
+    hidingRulesContainer.querySelectorAll('.rule-row').forEach(row => {
+      const pattern = row.querySelector('[data-key="pattern"]').value.trim().toLowerCase();
+      const hide = splitSelectorList(row.querySelector('[data-key="hide"]').value);
+      const exclude = splitSelectorList(row.querySelector('[data-key="exclude"]').value);
+      if (pattern && (hide.length || exclude.length)) rules.push({ pattern, hide, exclude });
+    });
+    
+    return rules;
+  }
+  
+  // Read a number input, clamped to the range the settings schema allows
+  function readNumberSetting(input, key) {
+    const field = SettingsSchema.fields[key];
+    const value = parseInt(input.value, 10);
+    
+    if (!Number.isFinite(value)) return field.default;
+    return Math.min(field.max, Math.max(field.min, value));
+  }
+  
+  // Check every rule folder, marking the invalid ones
+  function validateRuleFolders() {
+    let allValid = true;
+    
+    routingRulesContainer.querySelectorAll('.rule-row').forEach(row => {
+      const input = row.querySelector('[data-key="folder"]');
+      const validation = validatePathInput(input, input.parentElement.querySelector('.field-error'));
+      if (!validation.valid) allValid = false;
+    });
+    
+    return allValid;
+  }
+  
+  // Build the editable row for one context-menu folder shortcut
+  function createShortcutRow(shortcut) {
+    const row = document.createElement('div');
+    row.className = 'policy-row shortcut-row';
+    
+    const nameInput = document.createElement('input');
+    nameInput.type = 'text';
+    nameInput.className = 'path-input';
+    nameInput.placeholder = 'Menu name, e.g. Papers';
+    nameInput.dataset.key = 'name';
+    nameInput.value = shortcut.name || '';
+    
+    const folderLabel = document.createElement('label');
+    const folderInput = document.createElement('input');
+    folderInput.type = 'text';
+    folderInput.className = 'path-input';
+    folderInput.placeholder = 'Folder, e.g. Research/Papers';
+    folderInput.dataset.key = 'folder';
+    folderInput.value = shortcut.folder || '';
+    const error = document.createElement('div');
+    error.className = 'field-error hidden';
+    folderInput.addEventListener('input', () => validatePathInput(folderInput, error));
+    folderLabel.append(folderInput, error);
+    
+    row.append(nameInput, folderLabel, createSmallButton('Remove', () => row.remove()));
+    return row;
+  }
+  
+  // Check every shortcut folder, marking the invalid ones
+  function validateShortcutFolders() {
+    let allValid = true;
+    
+    folderShortcutsContainer.querySelectorAll('.shortcut-row').forEach(row => {
+      const input = row.querySelector('[data-key="folder"]');
+      if (!validatePathInput(input, row.querySelector('.field-error')).valid) allValid = false;
+    });
+    
+    return allValid;
+  }
+  
+  // Read the shortcuts back out of the editor, naming unnamed ones after their folder
+  function collectShortcuts() {
+    const shortcuts = [];
+    
+    folderShortcutsContainer.querySelectorAll('.shortcut-row').forEach(row => {
+      const folder = PathValidator.validateDirectory(row.querySelector('[data-key="folder"]').value).normalized;
+      const name = row.querySelector('[data-key="name"]').value.trim() || folder;
+      if (folder) shortcuts.push({ name, folder });
+    });
+    
+    return shortcuts;
+  }
+  
+  // Read the rules back out of the editor, in display order
+  function collectRules() {
+    const rules = [];
+    
+    routingRulesContainer.querySelectorAll('.rule-row').forEach(row => {
+      const rule = {};
+      
+      ruleFields.forEach(field => {
+        const value = row.querySelector(`[data-key="${field.key}"]`).value.trim();
+        
+        if (field.size) {
+          const megabytes = parseFloat(value);
+          if (megabytes > 0) rule[field.key] = Math.round(megabytes * BYTES_PER_MB);
+        } else if (field.list) {
+          const items = value.split(',').map(item => item.trim()).filter(Boolean);
+          if (items.length) rule[field.key] = items;
+        } else if (value) {
+          rule[field.key] = value;
+        }
+      });
+      
+      // A rule without a target folder has nothing to do
+      if (rule.folder) rules.push(rule);
+    });
+    
+    return rules;
+  }
+  
+  const policyLabels = {
+    silent: 'Always silent',
+    prompt: 'Never silent (Save As prompt)',
+    inherit: 'Inherit global setting'
+  };
+  
+  // Render the site policy editor
+  function renderPolicies(policies) {
+    sitePoliciesContainer.innerHTML = '';
+    policies.forEach(policy => sitePoliciesContainer.appendChild(createPolicyRow(policy)));
+    updatePoliciesPlaceholder();
+  }
+  
+  function updatePoliciesPlaceholder() {
+    const existingNote = sitePoliciesContainer.querySelector('.empty-note');
+    const hasPolicies = sitePoliciesContainer.querySelector('.policy-row') !== null;
+    
+    if (!hasPolicies && !existingNote) {
+      const note = document.createElement('div');
+      note.className = 'empty-note';
+      note.textContent = 'No site policies. Every site follows the global setting.';
+      sitePoliciesContainer.appendChild(note);
+    } else if (hasPolicies && existingNote) {
+      existingNote.remove();
+    }
+  }
+  
+  // Build the editable row for a single site policy
+  function createPolicyRow(policy) {
+    const row = document.createElement('div');
+    row.className = 'policy-row';
+    
+    const patternInput = document.createElement('input');
+    patternInput.type = 'text';
+    patternInput.className = 'path-input';
+    patternInput.placeholder = 'e.g., *.corp.example.com';
+    patternInput.dataset.key = 'pattern';
+    patternInput.value = policy.pattern || '';
+    
+    const policySelect = document.createElement('select');
+    policySelect.className = 'path-input';
+    policySelect.dataset.key = 'policy';
+    Object.entries(policyLabels).forEach(([value, label]) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = label;
+      policySelect.appendChild(option);
+    });
+    policySelect.value = policy.policy || 'inherit';
+    
+    const removeBtn = createSmallButton('Remove', () => {
+      row.remove();
+      updatePoliciesPlaceholder();
+    });
+    
+    row.append(patternInput, policySelect, removeBtn);
+    return row;
+  }
+  
+  // Read the site policies back out of the editor
+  function collectPolicies() {
+    const policies = [];
+    
+    sitePoliciesContainer.querySelectorAll('.policy-row').forEach(row => {
+      const pattern = row.querySelector('[data-key="pattern"]').value.trim().toLowerCase();
+      const policy = row.querySelector('[data-key="policy"]').value;
+      if (pattern) policies.push({ pattern, policy });
+    });
+    
+    return policies;
+  }
+  
+  // Build the editable row for one per-site concurrency limit
+  function createHostLimitRow(entry) {
+    const row = document.createElement('div');
+    row.className = 'policy-row host-limit-row';
+    
+    const patternInput = document.createElement('input');
+    patternInput.type = 'text';
+    patternInput.className = 'path-input';
+    patternInput.placeholder = 'e.g., files.example.com';
+    patternInput.dataset.key = 'pattern';
+    patternInput.value = entry.pattern || '';
+    
+    const limitInput = document.createElement('input');
+    limitInput.type = 'number';
+    limitInput.className = 'path-input';
+    limitInput.min = '1';
+    limitInput.max = '20';
+    limitInput.dataset.key = 'limit';
+    limitInput.value = entry.limit || 1;
+    
+    row.append(patternInput, limitInput, createSmallButton('Remove', () => row.remove()));
+    return row;
+  }
+  
+  // Read the per-site limits back out of the editor, skipping rows without a site
+  function collectHostLimits() {
+    const limits = [];
+    
+    queueHostLimitsContainer.querySelectorAll('.host-limit-row').forEach(row => {
+      const pattern = row.querySelector('[data-key="pattern"]').value.trim().toLowerCase();
+      const limit = Math.min(20, Math.max(1, parseInt(row.querySelector('[data-key="limit"]').value, 10) || 1));
+      if (pattern) limits.push({ pattern, limit });
+    });
+    
+    return limits;
+  }
+  
+  const safetyFields = [
+    { key: 'name', label: 'Name', placeholder: 'e.g., Installers' },
+    { key: 'extensions', label: 'File extensions', placeholder: 'e.g., exe, msi', list: true },
+    { key: 'mimeTypes', label: 'MIME types', placeholder: 'e.g., application/x-msdownload', list: true },
+    { key: 'minSize', label: 'Files at least (MB)', placeholder: 'any', size: true }
+  ];
+  
+  const safetyActionLabels = {
+    allow: 'Allow silently',
+    prompt: 'Ask (Save As prompt)',
+    block: 'Block and log'
+  };
+  
+  // Render the safety category editor
+  function renderSafetyCategories(categories) {
+    safetyCategoriesContainer.innerHTML = '';
+    categories.forEach(category => safetyCategoriesContainer.appendChild(createSafetyRow(category)));
+  }
+  
+  // Build the editable row for one safety category
+  function createSafetyRow(category) {
+    const row = document.createElement('div');
+    row.className = 'rule-row';
+    
+    const fields = document.createElement('div');
+    fields.className = 'rule-fields';
+    
+    safetyFields.forEach(field => {
+      const label = document.createElement('label');
+      label.textContent = field.label;
+      
+      const input = document.createElement('input');
+      input.type = field.size ? 'number' : 'text';
+      input.className = 'path-input';
+      input.placeholder = field.placeholder;
+      input.dataset.key = field.key;
+      
+      if (field.size) {
+        input.min = '0';
+        input.step = 'any';
+        input.value = category[field.key] ? category[field.key] / BYTES_PER_MB : '';
+      } else if (field.list) {
+        input.value = (category[field.key] || []).join(', ');
+      } else {
+        input.value = category[field.key] || '';
+      }
+      
+      label.appendChild(input);
+      fields.appendChild(label);
+    });
+    
+    const actionLabel = document.createElement('label');
+    actionLabel.textContent = 'Action';
+    const actionSelect = document.createElement('select');
+    actionSelect.className = 'path-input';
+    actionSelect.dataset.key = 'action';
+    Object.entries(safetyActionLabels).forEach(([value, text]) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = text;
+      actionSelect.appendChild(option);
+    });
+    actionSelect.value = category.action || 'prompt';
+    actionLabel.appendChild(actionSelect);
+    fields.appendChild(actionLabel);
+    
+    const actions = document.createElement('div');
+    actions.className = 'rule-actions';
+    actions.append(
+      createSmallButton('Move Up', () => {
+        if (row.previousElementSibling) safetyCategoriesContainer.insertBefore(row, row.previousElementSibling);
+      }),
+      createSmallButton('Move Down', () => {
+        if (row.nextElementSibling) safetyCategoriesContainer.insertBefore(row.nextElementSibling, row);
+      }),
+      createSmallButton('Remove', () => row.remove())
+    );
+    
+    row.append(fields, actions);
+    return row;
+  }
+  
+  // Read the safety categories back out of the editor, skipping rows that match nothing
+  function collectSafetyCategories() {
+    const categories = [];
+    
+    safetyCategoriesContainer.querySelectorAll('.rule-row').forEach((row, index) => {
+      const category = {};
+      
+      safetyFields.forEach(field => {
+        const value = row.querySelector(`[data-key="${field.key}"]`).value.trim();
+        
+        if (field.size) {
+          const megabytes = parseFloat(value);
+          if (megabytes > 0) category[field.key] = Math.round(megabytes * BYTES_PER_MB);
+        } else if (field.list) {
+          const items = value.split(',').map(item => item.trim()).filter(Boolean);
+          if (items.length) category[field.key] = items;
+        } else if (value) {
+          category[field.key] = value;
+        }
+      });
+      category.name = category.name || `Category ${index + 1}`;
+      category.action = row.querySelector('[data-key="action"]').value;
+      
+      if (category.extensions || category.mimeTypes || category.minSize) categories.push(category);
+    });
+    
+    return categories;
+  }
+  
+  const weekdayNames = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+  
+  // Fill the time zone picker, with the browser's own zone as the default
+  function renderTimezoneOptions() {
+    const browserZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+    const zones = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [];
+    
+    const defaultOption = document.createElement('option');
+    defaultOption.value = '';
+    defaultOption.textContent = `Browser time zone (${browserZone})`;
+    scheduleTimezoneSelect.appendChild(defaultOption);
+    
+    zones.forEach(zone => {
+      const option = document.createElement('option');
+      option.value = zone;
+      option.textContent = zone;
+      scheduleTimezoneSelect.appendChild(option);
+    });
+  }
+  
+  // Render the quiet-hours editor, sorted by day and start time
+  function renderScheduleWindows(windows) {
+    scheduleWindowsContainer.innerHTML = '';
+    windows
+      .slice()
+      .sort((a, b) => a.day - b.day || a.start.localeCompare(b.start))
+      .forEach(entry => scheduleWindowsContainer.appendChild(createScheduleRow(entry)));
+    updateSchedulePlaceholder();
+  }
+  
+  function updateSchedulePlaceholder() {
+    const existingNote = scheduleWindowsContainer.querySelector('.empty-note');
+    const hasWindows = scheduleWindowsContainer.querySelector('.schedule-row') !== null;
+    
+    if (!hasWindows && !existingNote) {
+      const note = document.createElement('div');
+      note.className = 'empty-note';
+      note.textContent = 'No quiet hours. With the schedule on, downloads are never silent.';
+      scheduleWindowsContainer.appendChild(note);
+    } else if (hasWindows && existingNote) {
+      existingNote.remove();
+    }
+  }
+  
+  // Build the editable row for one quiet-hours window
+  function createScheduleRow(entry) {
+    const row = document.createElement('div');
+    row.className = 'policy-row schedule-row';
+    
+    const daySelect = document.createElement('select');
+    daySelect.className = 'path-input';
+    daySelect.dataset.key = 'day';
+    weekdayNames.forEach((name, index) => {
+      const option = document.createElement('option');
+      option.value = index;
+      option.textContent = name;
+      daySelect.appendChild(option);
+    });
+    daySelect.value = entry.day;
+    
+    const timeInputs = ['start', 'end'].map(key => {
+      const input = document.createElement('input');
+      input.type = 'time';
+      input.className = 'path-input';
+      input.dataset.key = key;
+      input.value = entry[key] || '';
+      return input;
+    });
+    
+    const separator = document.createElement('span');
+    separator.textContent = 'to';
+    
+    const removeBtn = createSmallButton('Remove', () => {
+      row.remove();
+      updateSchedulePlaceholder();
+    });
+    
+    row.append(daySelect, timeInputs[0], separator, timeInputs[1], removeBtn);
+    return row;
+  }
+  
+  // Read the quiet-hours windows back out of the editor, skipping incomplete rows
+  function collectScheduleWindows() {
+    const windows = [];
+    
+    scheduleWindowsContainer.querySelectorAll('.schedule-row').forEach(row => {
+      const day = parseInt(row.querySelector('[data-key="day"]').value, 10);
+      const start = row.querySelector('[data-key="start"]').value;
+      const end = row.querySelector('[data-key="end"]').value;
+      if (start && end && start !== end) windows.push({ day, start, end });
+    });
+    
+    return windows;
+  }
+  
+  // Load the download history from the background worker
+  function loadHistory() {
+    chrome.runtime.sendMessage({ action: 'getHistory' }, (response) => {
+      historyEntries = (response && response.history) || [];
+      renderHistory();
+    });
+  }
+  
+  // Entries matching the current search and filters, newest first
+  function getFilteredHistory() {
+    const query = historySearchInput.value.trim().toLowerCase();
+    const state = historyStateSelect.value;
+    const silent = historySilentSelect.value;
+    
+    return historyEntries
+      .filter(entry => !state || entry.state === state)
+      .filter(entry => !silent || (silent === 'silent') === (entry.silent === true))
+      .filter(entry => !query || [entry.url, entry.referrer, entry.filename, entry.rule, entry.policy, entry.mime]
+        .some(value => value && String(value).toLowerCase().includes(query)))
+      .slice()
+      .reverse();
+  }
+  
+  function formatSize(bytes) {
+    if (!(bytes > 0)) return '';
+    const units = ['B', 'KB', 'MB', 'GB'];
+    let size = bytes;
+    let unit = 0;
+    while (size >= 1024 && unit < units.length - 1) {
+      size /= 1024;
+      unit++;
+    }
+    return `${size.toFixed(unit ? 1 : 0)} ${units[unit]}`;
+  }
+  
+  function formatTime(value) {
+    if (!value) return '';
+    const date = new Date(value);
+    return isNaN(date) ? '' : date.toLocaleString();
+  }
+  
+  // Render the history table
+  function renderHistory() {
+    const entries = getFilteredHistory();
+    historyRows.innerHTML = '';
+    
+    entries.forEach(entry => {
+      const row = document.createElement('tr');
+      const cells = [
+        formatTime(entry.startTime),
+        entry.filename || '',
+        entry.url || '',
+        formatSize(entry.size),
+        entry.error ? `${entry.state} (${entry.error})` : entry.state,
+        [entry.rule, entry.policy].filter(Boolean).join(' / '),
+        entry.notificationsSuppressed ? 'Suppressed' : 'Shown'
+      ];
+      
+      cells.forEach((text, index) => {
+        const cell = document.createElement('td');
+        cell.textContent = text;
+        if (index === 1 || index === 2) cell.className = 'file';
+        if (index === 2 && entry.referrer) cell.title = `Referrer: ${entry.referrer}`;
+        if (index === 4) cell.className = `history-state-${entry.state}`;
+        row.appendChild(cell);
+      });
+      
+      historyRows.appendChild(row);
+    });
+    
+    historyCount.textContent = `Showing ${entries.length} of ${historyEntries.length} downloads`;
+  }
+  
+  // Export the filtered history as CSV or JSON
+  function exportHistory(format) {
+    const entries = getFilteredHistory();
+    const columns = ['id', 'startTime', 'endTime', 'state', 'error', 'url', 'referrer', 'filename',
+      'size', 'mime', 'rule', 'policy', 'silent', 'notificationsSuppressed'];
+    
+    let content;
+    if (format === 'json') {
+      content = JSON.stringify(entries, null, 2);
+    } else {
+      const escapeCsv = (value) => {
+        const text = value === undefined || value === null ? '' : String(value);
+        return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+      };
+      content = [columns.join(',')]
+        .concat(entries.map(entry => columns.map(column => escapeCsv(entry[column])).join(',')))
+        .join('\r\n');
+    }
+    
+    downloadFile(`silent-downloads-history.${format}`, content, format === 'json' ? 'application/json' : 'text/csv');
+  }
+  
+  function clearHistory() {
+    if (!confirm('Clear the entire download history?')) return;
+    
+    chrome.runtime.sendMessage({ action: 'clearHistory' }, (response) => {
+      if (response && response.success) {
+        historyEntries = [];
+        renderHistory();
+        showStatus('History cleared', 'success');
+      } else {
+        showStatus('Error clearing history', 'error');
+      }
+    });
+  }
+  
+  // Save generated content through a temporary link
+  function downloadFile(filename, content, type) {
+    const blob = new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+    
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+  
+  // Download the full configuration as a JSON file
+  function exportSettings() {
+    chrome.runtime.sendMessage({ action: 'getSettings' }, (response) => {
+      if (!response || response.error) {
+        showStatus('Error exporting settings: ' + (response?.error || 'Unknown error'), 'error');
+        return;
+      }
+      
+      chrome.storage.local.get(Object.keys(SettingsSchema.localFields), (localSettings) => {
+        const exported = SettingsSchema.createExport(response, localSettings);
+        downloadFile('silent-downloads-settings.json', JSON.stringify(exported, null, 2), 'application/json');
+        
+        showStatus('Settings exported', 'success');
+      });
+    });
+  }
+  
+  // Validate an exported file and apply it only if nothing is wrong
+  async function importSettings() {
+    const file = importFileInput.files[0];
+    importFileInput.value = '';
+    if (!file) return;
+    
+    importReport.classList.add('hidden');
+    
+    let report;
+    try {
+      report = SettingsSchema.parseImport(await file.text());
+    } catch (error) {
+      report = { errors: [`Could not read file: ${error.message}`], unknownKeys: [] };
+    }
+    
+    if (report.errors.length || report.unknownKeys.length) {
+      showImportReport(report);
+      showStatus('Import cancelled, nothing was changed', 'error');
+      return;
+    }
+    
+    chrome.runtime.sendMessage({ action: 'saveSettings', ...report.settings }, (response) => {
+      if (!response || !response.success) {
+        showStatus('Error importing settings: ' + (response?.error || 'Unknown error'), 'error');
+        return;
+      }
+      
+      chrome.storage.local.set(report.local, () => {
+        loadSettings();
+        showStatus('Settings imported successfully!', 'success');
+      });
+    });
+  }
+  
+  // List everything that stopped an import
+  function showImportReport(report) {
+    importReport.innerHTML = '';
+    
+    const addSection = (title, items) => {
+      if (!items.length) return;
+      
+      const heading = document.createElement('strong');
+      heading.textContent = title;
+      const list = document.createElement('ul');
+      items.forEach(item => {
+        const entry = document.createElement('li');
+        entry.textContent = item;
+        list.appendChild(entry);
+      });
+      importReport.append(heading, list);
+    };
+    
+    addSection('Invalid values:', report.errors);
+    addSection('Unknown keys:', report.unknownKeys);
+    importReport.classList.remove('hidden');
+  }
+  
   // Show or hide logs section based on debug checkbox
   function toggleLogsSection() {
     if (showDebugLogsCheckbox.checked) {
@@ -96,7 +1260,7 @@ document.addEventListener('DOMContentLoaded', function() {
   function loadLogs() {
     chrome.runtime.sendMessage({ action: 'getLogs' }, (response) => {
       if (response && response.logs && response.logs.length > 0) {
-        let logsHTML = '';
+        logsContainer.innerHTML = '';
         response.logs.forEach(log => {
           const timestamp = log.timestamp || 'Unknown time';
           const level = log.level || 'info';
@@ -106,14 +1270,33 @@ document.addEventListener('DOMContentLoaded', function() {
           const levelColor = level === 'error' ? '#dc3545' : 
                             level === 'warn' ? '#ffc107' : '#28a745';
           
-          logsHTML += `<div style="margin-bottom:8px; border-bottom:1px solid #eee; padding-bottom:4px;">
-                         <span style="color:${levelColor}; font-weight:bold;">[${level.toUpperCase()}]</span> 
-                         <span style="color:#666;">${timestamp}</span><br>
-                         <span>${message}</span>
-                         ${data ? `<pre style="margin:4px 0; background:#f8f9fa; padding:4px; border-radius:2px; font-size:11px;">${data}</pre>` : ''}
-                       </div>`;
+          // Messages and data can carry file names, URLs and MIME types from the web,
+          // so they go in as text rather than markup
+          const entry = document.createElement('div');
+          entry.style.cssText = 'margin-bottom:8px; border-bottom:1px solid #eee; padding-bottom:4px;';
+          
+          const levelSpan = document.createElement('span');
+          levelSpan.style.cssText = `color:${levelColor}; font-weight:bold;`;
+          levelSpan.textContent = `[${level.toUpperCase()}]`;
+          
+          const timeSpan = document.createElement('span');
+          timeSpan.style.color = '#666';
+          timeSpan.textContent = timestamp;
+          
+          const messageSpan = document.createElement('span');
+          messageSpan.textContent = message;
+          
+          entry.append(levelSpan, ' ', timeSpan, document.createElement('br'), messageSpan);
+          
+          if (data) {
+            const dataPre = document.createElement('pre');
+            dataPre.style.cssText = 'margin:4px 0; background:#f8f9fa; padding:4px; border-radius:2px; font-size:11px;';
+            dataPre.textContent = data;
+            entry.appendChild(dataPre);
+          }
+          
+          logsContainer.appendChild(entry);
         });
-        logsContainer.innerHTML = logsHTML;
       } else {
         logsContainer.innerHTML = 'No logs available';
       }
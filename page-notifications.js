@@ -0,0 +1,187 @@
+// page-notifications.js - Runs in the page's own JavaScript world to intercept its notifications
+
+(function() {
+  'use strict';
+  
+  // This script can't reach extension APIs. content.js sends it the rules and relays what it
+  // suppresses, with event details passed between the two worlds as JSON strings.
+  const RULES_EVENT = 'silent-downloads:notification-rules';
+  const READY_EVENT = 'silent-downloads:page-ready';
+  const SUPPRESSED_EVENT = 'silent-downloads:notification-suppressed';
+  
+  const OriginalNotification = window.Notification;
+  const registrationPrototype = window.ServiceWorkerRegistration && window.ServiceWorkerRegistration.prototype;
+  const originalShowNotification = registrationPrototype && registrationPrototype.showNotification;
+  
+  // Interception starts right away, but nothing matches until content.js sends the rules.
+  // It sends the defaults as soon as both scripts are running, then the user's rules once
+  // it has read the settings.
+  let config = { enabled: true, rules: [], blockPrompts: false };
+  
+  // Calls that return a promise are held until the settings arrive, or for SETTINGS_WAIT_MS
+  // if they never do; the Notification constructor can't wait and uses the rules it has
+  const SETTINGS_WAIT_MS = 1000;
+  let settingsPending = true;
+  let releaseHeldCalls;
+  const settingsReady = new Promise(resolve => { releaseHeldCalls = resolve; }).then(() => {
+    settingsPending = false;
+  });
+  setTimeout(releaseHeldCalls, SETTINGS_WAIT_MS);
+  
+  // Case-insensitive matcher, treating an invalid expression as a literal (as the background does)
+  function compilePattern(pattern) {
+    try {
+      return new RegExp(pattern, 'i');
+    } catch (error) {
+      return new RegExp(pattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+    }
+  }
+  
+  // A rule matches when every pattern it sets matches. The page may have kept a reference
+  // to a wrapper, so nothing matches while interception is off.
+  function findMatchingRule(title, options) {
+    if (!config.enabled) return null;
+    
+    const values = {
+      titlePattern: String(title ?? ''),
+      bodyPattern: options && typeof options.body === 'string' ? options.body : ''
+    };
+    
+    return config.rules.find(rule => {
+      const keys = Object.keys(values).filter(key => rule[key]);
+      return keys.length > 0 && keys.every(key => compilePattern(rule[key]).test(values[key]));
+    }) || null;
+  }
+  
+  function report(kind, title, options, rule) {
+    document.dispatchEvent(new CustomEvent(SUPPRESSED_EVENT, {
+      detail: JSON.stringify({
+        kind,
+        title: String(title ?? ''),
+        body: options && typeof options.body === 'string' ? options.body : '',
+        rule
+      })
+    }));
+  }
+  
+  // Returned in place of a suppressed notification. It never shows and never fires events.
+  function createSilentNotification(title, options) {
+    const notification = new EventTarget();
+    Object.assign(notification, {
+      title: String(title ?? ''),
+      body: options?.body || '',
+      tag: options?.tag || '',
+      icon: options?.icon || '',
+      data: options?.data ?? null,
+      close: () => {},
+      onshow: null,
+      onclick: null,
+      onclose: null,
+      onerror: null
+    });
+    return notification;
+  }
+  
+  function SilentNotification(title, options) {
+    if (!new.target) {
+      throw new TypeError("Failed to construct 'Notification': Please use the 'new' operator.");
+    }
+    
+    const rule = findMatchingRule(title, options);
+    if (rule) {
+      report('Notification', title, options, rule);
+      return createSilentNotification(title, options);
+    }
+    
+    const target = new.target === SilentNotification ? OriginalNotification : new.target;
+    return Reflect.construct(OriginalNotification, Array.from(arguments), target);
+  }
+  
+  // Keep instanceof checks and the static API working for the page
+  if (OriginalNotification) {
+    SilentNotification.prototype = OriginalNotification.prototype;
+    ['permission', 'maxActions'].forEach(name => {
+      Object.defineProperty(SilentNotification, name, {
+        get: () => OriginalNotification[name],
+        configurable: true,
+        enumerable: true
+      });
+    });
+    SilentNotification.requestPermission = requestPermission;
+  }
+  
+  // With prompt blocking on, a page that hasn't been answered yet gets "default",
+  // the same result as the user dismissing the prompt
+  function requestPermission(callback) {
+    if (settingsPending) {
+      const result = settingsReady.then(() => requestPermission());
+      if (typeof callback === 'function') result.then(callback);
+      return result;
+    }
+    
+    if (config.enabled && config.blockPrompts && OriginalNotification.permission === 'default') {
+      report('requestPermission', '', null, null);
+      const result = Promise.resolve('default');
+      if (typeof callback === 'function') result.then(callback);
+      return result;
+    }
+    return OriginalNotification.requestPermission(callback);
+  }
+  
+  // Covers pages showing notifications through their service worker registration.
+  // Calls made inside the service worker itself never pass through the page and can't be seen here.
+  function showNotification(title, options) {
+    if (settingsPending) {
+      const args = arguments;
+      return settingsReady.then(() => showNotification.apply(this, args));
+    }
+    
+    const rule = findMatchingRule(title, options);
+    if (rule) {
+      report('showNotification', title, options, rule);
+      return Promise.resolve();
+    }
+    return originalShowNotification.apply(this, arguments);
+  }
+  
+  function install() {
+    if (OriginalNotification) window.Notification = SilentNotification;
+    if (originalShowNotification) registrationPrototype.showNotification = showNotification;
+  }
+  
+  // Hand the page its own APIs back while silent mode or notification hiding is off
+  function uninstall() {
+    if (window.Notification === SilentNotification) window.Notification = OriginalNotification;
+    if (originalShowNotification && registrationPrototype.showNotification === showNotification) {
+      registrationPrototype.showNotification = originalShowNotification;
+    }
+  }
+  
+  document.addEventListener(RULES_EVENT, (event) => {
+    let settingsLoaded;
+    try {
+      const next = JSON.parse(event.detail);
+      config = {
+        enabled: next.enabled === true,
+        rules: Array.isArray(next.rules) ? next.rules : [],
+        blockPrompts: next.blockPrompts === true
+      };
+      settingsLoaded = next.settingsLoaded !== false;
+    } catch (error) {
+      return;
+    }
+    
+    if (config.enabled) {
+      install();
+    } else {
+      uninstall();
+    }
+    // The defaults content.js sends before it has read the settings don't release held calls
+    if (settingsLoaded) releaseHeldCalls();
+  });
+  
+  install();
+  
+  // content.js may have started first; ask it for the rules
+  document.dispatchEvent(new CustomEvent(READY_EVENT));
+})();
\ No newline at end of file
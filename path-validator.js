@@ -0,0 +1,117 @@
+// path-validator.js - Download path validation shared by the background worker, popup and options page
+
+const PathValidator = (() => {
+  // Chrome resolves download paths relative to the download directory and accepts "/" on every platform
+  const SEPARATOR = '/';
+  const MAX_SEGMENT_LENGTH = 255;
+  
+  // Characters Windows refuses in file and folder names, plus control characters
+  const ILLEGAL_CHARS = /[<>:"|?*\u0000-\u001f]/g;
+  
+  // Names Windows reserves for devices, with or without an extension
+  const RESERVED_NAMES = /^(con|prn|aux|nul|com[0-9]|lpt[0-9])(\..*)?$/i;
+  
+  // Split on either separator and drop empty and "." segments
+  function splitSegments(path) {
+    return path.split(/[\\/]+/).filter(segment => segment && segment !== '.');
+  }
+  
+  function isAbsolute(path) {
+    return /^([\\/]|~|[a-zA-Z]:)/.test(path);
+  }
+  
+  // Check one folder or file name, returning a list of problems
+  function checkSegment(segment) {
+    const errors = [];
+    
+    if (segment === '..') {
+      errors.push('".." is not allowed');
+      return errors;
+    }
+    
+    const illegal = segment.match(ILLEGAL_CHARS);
+    if (illegal) {
+      const shown = [...new Set(illegal)].map(char => (char < ' ' ? 'control characters' : char));
+      errors.push(`"${segment}" contains characters that aren't allowed: ${shown.join(' ')}`);
+    }
+    if (/[. ]$/.test(segment)) {
+      errors.push(`"${segment}" can't end with a dot or space`);
+    }
+    if (RESERVED_NAMES.test(segment)) {
+      errors.push(`"${segment}" is a reserved name on Windows`);
+    }
+    if (segment.length > MAX_SEGMENT_LENGTH) {
+      errors.push(`"${segment.slice(0, 20)}…" is longer than ${MAX_SEGMENT_LENGTH} characters`);
+    }
+    
+    return errors;
+  }
+  
+  // Validate a directory typed by the user.
+  // Returns { valid, errors, normalized } where normalized uses "/" separators.
+  function validateDirectory(path) {
+    const trimmed = (path || '').trim();
+    if (!trimmed) return { valid: true, errors: [], normalized: '' };
+    
+    const errors = [];
+    if (isAbsolute(trimmed)) {
+      errors.push('Use a folder inside your download directory, not an absolute path');
+    }
+    
+    const segments = splitSegments(trimmed.replace(/^[a-zA-Z]:/, ''));
+    segments.forEach(segment => errors.push(...checkSegment(segment)));
+    
+    return {
+      valid: errors.length === 0,
+      errors,
+      normalized: segments.join(SEPARATOR)
+    };
+  }
+  
+  // Make a single name safe to use, replacing anything the file system would reject
+  function sanitizeFilename(name, fallback = 'download') {
+    let safe = (name || '')
+      .replace(/[\\/]/g, '_')
+      .replace(ILLEGAL_CHARS, '_')
+      .replace(/[. ]+$/, '')
+      .trim();
+    
+    if (!safe || safe === '..') safe = fallback;
+    if (RESERVED_NAMES.test(safe)) safe = `_${safe}`;
+    
+    if (safe.length > MAX_SEGMENT_LENGTH) {
+      // Keep the extension when trimming long names
+      const dotIndex = safe.lastIndexOf('.');
+      const extension = dotIndex > 0 && safe.length - dotIndex <= 16 ? safe.slice(dotIndex) : '';
+      safe = safe.slice(0, MAX_SEGMENT_LENGTH - extension.length) + extension;
+    }
+    
+    return safe;
+  }
+  
+  // Turn a generated path into a safe relative path. Absolute prefixes and ".."
+  // segments are dropped and every remaining segment is sanitized.
+  function sanitizePath(path) {
+    return splitSegments((path || '').replace(/^[a-zA-Z]:/, ''))
+      .filter(segment => segment !== '..' && segment !== '~')
+      .map(segment => sanitizeFilename(segment, '_'))
+      .join(SEPARATOR);
+  }
+  
+  // Join path parts with "/", ignoring empty parts
+  function joinPath(...parts) {
+    return parts
+      .filter(Boolean)
+      .map(part => part.replace(/^[\\/]+|[\\/]+$/g, ''))
+      .filter(Boolean)
+      .join(SEPARATOR);
+  }
+  
+  return {
+    SEPARATOR,
+    validateDirectory,
+    sanitizeFilename,
+    sanitizePath,
+    joinPath
+  };
+})();
\ No newline at end of file
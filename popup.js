@@ -3,28 +3,309 @@
 document.addEventListener('DOMContentLoaded', function() {
   const silentCheckbox = document.getElementById('silentDownloads');
   const pathInput = document.getElementById('downloadPath');
+  const pathError = document.getElementById('downloadPathError');
   const saveBtn = document.getElementById('saveBtn');
   const optionsBtn = document.getElementById('optionsBtn');
   const status = document.getElementById('status');
+  const siteSection = document.getElementById('siteSection');
+  const siteHost = document.getElementById('siteHost');
+  const sitePolicyLabel = document.getElementById('sitePolicy');
+  const silenceSiteBtn = document.getElementById('silenceSiteBtn');
+  const neverSilenceSiteBtn = document.getElementById('neverSilenceSiteBtn');
+  const resetSiteBtn = document.getElementById('resetSiteBtn');
+  const pickElementBtn = document.getElementById('pickElementBtn');
+  const scheduleStatus = document.getElementById('scheduleStatus');
+  const profileSelect = document.getElementById('profileSelect');
+  const promptNextBtn = document.getElementById('promptNextBtn');
+  const clearOverrideBtn = document.getElementById('clearOverrideBtn');
+
+  let activeHost = '';
+  let activeTabId = null;
 
   // Load current settings
-  chrome.runtime.sendMessage({action: 'getSettings'}, (response) => {
-    if (response) {
-      silentCheckbox.checked = response.silentDownloads;
-      pathInput.value = response.defaultPath || '';
-    }
+  function loadSettings() {
+    chrome.runtime.sendMessage({action: 'getSettings'}, (response) => {
+      if (response) {
+        silentCheckbox.checked = response.silentDownloads;
+        pathInput.value = response.defaultPath || '';
+        validatePath();
+        loadActiveSite(response.sitePolicies || []);
+      }
+    });
+    loadSilentStatus();
+  }
+
+  loadSettings();
+  loadProfiles();
+
+  // Fill the profile switcher, selecting the active profile
+  function loadProfiles() {
+    chrome.runtime.sendMessage({action: 'getProfiles'}, (response) => {
+      if (!response || !response.success) return;
+
+      profileSelect.innerHTML = '';
+      response.profiles.forEach(profile => {
+        const option = document.createElement('option');
+        option.value = profile.id;
+        option.textContent = profile.name;
+        profileSelect.appendChild(option);
+      });
+      profileSelect.value = response.activeProfile;
+    });
+  }
+
+  profileSelect.addEventListener('change', function() {
+    chrome.runtime.sendMessage({action: 'switchProfile', id: profileSelect.value}, (response) => {
+      if (response && response.success) {
+        loadSettings();
+        status.textContent = 'Profile switched!';
+        status.style.color = '#28a745';
+        setTimeout(() => {
+          status.textContent = '';
+        }, 2000);
+      } else {
+        loadProfiles();
+        status.textContent = 'Error switching profile';
+        status.style.color = '#dc3545';
+      }
+    });
+  });
+
+  // Show when silent mode next changes, e.g. "Silent until 18:00" or "Silence paused until 14:35"
+  function loadSilentStatus() {
+    chrome.runtime.sendMessage({action: 'getStatus'}, (response) => {
+      if (!response) return;
+
+      clearOverrideBtn.classList.toggle('hidden', !response.paused && !response.promptNext);
+
+      let text = '';
+      if (response.paused) {
+        text = `Silence paused until ${response.until}`;
+      } else if (response.scheduled) {
+        const state = response.silent ? 'Silent' : 'Not silent';
+        text = response.until ? `${state} until ${response.until}` : `${state} (quiet hours schedule)`;
+      }
+      if (response.promptNext) {
+        text = text ? `${text}. Next download will ask where to save` : 'Next download will ask where to save';
+      }
+
+      scheduleStatus.textContent = text;
+      scheduleStatus.classList.toggle('hidden', !text);
+    });
+  }
+
+  // Temporary overrides, so one download can use the Save As dialog without changing settings
+  function setSilenceOverride(override, message) {
+    chrome.runtime.sendMessage({action: 'setSilenceOverride', ...override}, (response) => {
+      if (response && response.success) {
+        loadSilentStatus();
+        status.textContent = message;
+        status.style.color = '#28a745';
+        setTimeout(() => {
+          status.textContent = '';
+        }, 2000);
+      } else {
+        status.textContent = 'Error: ' + (response?.error || 'Unknown error');
+        status.style.color = '#dc3545';
+      }
+    });
+  }
+
+  document.querySelectorAll('.pause-btn').forEach(button => {
+    button.addEventListener('click', () => {
+      const minutes = parseInt(button.dataset.minutes, 10);
+      setSilenceOverride({type: 'pause', minutes}, `Silence paused for ${minutes} minutes`);
+    });
+  });
+
+  promptNextBtn.addEventListener('click', () => {
+    setSilenceOverride({type: 'next'}, 'The next download will ask where to save');
+  });
+
+  clearOverrideBtn.addEventListener('click', () => {
+    chrome.runtime.sendMessage({action: 'clearSilenceOverride'}, loadSilentStatus);
+  });
+
+  // Show the site policy controls for the active tab
+  function loadActiveSite(sitePolicies) {
+    chrome.tabs.query({active: true, currentWindow: true}, (tabs) => {
+      const tab = tabs && tabs[0];
+      if (!tab || !tab.url) return;
+
+      try {
+        const url = new URL(tab.url);
+        if (url.protocol !== 'http:' && url.protocol !== 'https:') return;
+        activeHost = url.hostname.toLowerCase();
+        activeTabId = tab.id;
+      } catch (error) {
+        return;
+      }
+
+      siteHost.textContent = activeHost;
+      siteSection.classList.remove('hidden');
+      showSitePolicy(sitePolicies);
+      loadHiddenElements();
+    });
+  }
+
+  function showSitePolicy(sitePolicies) {
+    const entry = sitePolicies.find(policy => policy.pattern === activeHost);
+    const policy = entry ? entry.policy : 'inherit';
+
+    const labels = {
+      silent: 'Always silent',
+      prompt: 'Never silent (Save As prompt)',
+      inherit: 'Uses the global setting'
+    };
+    sitePolicyLabel.textContent = labels[policy] || labels.inherit;
+    resetSiteBtn.classList.toggle('hidden', policy === 'inherit');
+  }
+
+  function setSitePolicy(policy) {
+    chrome.runtime.sendMessage({action: 'setSitePolicy', pattern: activeHost, policy}, (response) => {
+      if (response && response.success) {
+        showSitePolicy(response.sitePolicies);
+        status.textContent = 'Site policy saved!';
+        status.style.color = '#28a745';
+        setTimeout(() => {
+          status.textContent = '';
+        }, 2000);
+      } else {
+        status.textContent = 'Error saving site policy';
+        status.style.color = '#dc3545';
+      }
+    });
+  }
+
+  // Elements content.js is hiding on the active tab, each with what matched it
+  const hiddenSection = document.getElementById('hiddenSection');
+  const hiddenTitle = document.getElementById('hiddenTitle');
+  const hiddenList = document.getElementById('hiddenList');
+  const hiddenStats = document.getElementById('hiddenStats');
+  const MAX_HIDDEN_SHOWN = 50;
+
+  function loadHiddenElements() {
+    chrome.tabs.sendMessage(activeTabId, {action: 'getHiddenElements'}, (response) => {
+      // No content script in this tab, e.g. it was open before the extension loaded
+      if (chrome.runtime.lastError || !response || !response.success) return;
+
+      const elements = response.elements;
+      hiddenSection.classList.remove('hidden');
+      hiddenTitle.textContent = `Hidden on this page: ${elements.length}`;
+      hiddenStats.textContent = describePageCost(response.stats);
+      hiddenList.innerHTML = '';
+
+      if (!elements.length) {
+        const empty = document.createElement('div');
+        empty.className = 'download-empty';
+        empty.textContent = response.active ? 'Nothing is hidden on this page' : 'Hiding is off for this page';
+        hiddenList.appendChild(empty);
+        return;
+      }
+
+      elements.slice(0, MAX_HIDDEN_SHOWN).forEach(entry => {
+        const item = document.createElement('div');
+        item.className = 'download-item';
+
+        const name = document.createElement('div');
+        name.className = 'download-name';
+        name.textContent = entry.description;
+        name.title = entry.text;
+
+        const meta = document.createElement('div');
+        meta.className = 'download-meta';
+        meta.textContent = `${entry.source === 'stylesheet' ? 'Stylesheet' : 'Script'}: ${entry.reason}`;
+
+        const controls = document.createElement('div');
+        controls.className = 'download-controls';
+        controls.append(
+          createHiddenControl('Restore', entry.id, false),
+          createHiddenControl('Never hide on this site', entry.id, true)
+        );
+
+        item.append(name, meta, controls);
+        hiddenList.appendChild(item);
+      });
+    });
+  }
+
+  // What watching the page has cost so far, from content.js's timing counters
+  function describePageCost(stats) {
+    if (!stats) return '';
+    const parts = [
+      `${stats.elementsChecked} added elements checked in ${stats.batches} batches`,
+      `${(stats.batchMs + stats.sweepMs).toFixed(1)} ms total`,
+      `slowest batch ${stats.slowestBatchMs.toFixed(1)} ms`
+    ];
+    if (stats.subtreesSkipped) parts.push(`${stats.subtreesSkipped} large subtrees skipped`);
+    if (stats.subtreesSplit) parts.push(`${stats.subtreesSplit} subtrees checked over several batches`);
+    if (stats.elementsDropped) parts.push(`${stats.elementsDropped} elements left to a full sweep`);
+    return parts.join(', ');
+  }
+
+  function createHiddenControl(label, id, permanent) {
+    const button = document.createElement('button');
+    button.textContent = label;
+    button.addEventListener('click', () => {
+      chrome.tabs.sendMessage(activeTabId, {action: 'restoreHiddenElement', id, permanent}, (response) => {
+        if (response && response.success) {
+          status.textContent = permanent ? `${response.selector} will not be hidden on ${activeHost}` : 'Element restored';
+          status.style.color = '#28a745';
+        } else {
+          status.textContent = 'Error: ' + (response?.error || 'Could not restore the element');
+          status.style.color = '#dc3545';
+        }
+        loadHiddenElements();
+      });
+    });
+    return button;
+  }
+
+  silenceSiteBtn.addEventListener('click', () => setSitePolicy('silent'));
+  neverSilenceSiteBtn.addEventListener('click', () => setSitePolicy('prompt'));
+  resetSiteBtn.addEventListener('click', () => setSitePolicy('inherit'));
+
+  // Hand over to the page's element picker; the popup has to close so the page can be clicked
+  pickElementBtn.addEventListener('click', () => {
+    chrome.tabs.sendMessage(activeTabId, {action: 'startElementPicker'}, (response) => {
+      if (chrome.runtime.lastError || !response || !response.success) {
+        status.textContent = 'Reload the page to pick elements on it';
+        status.style.color = '#dc3545';
+        return;
+      }
+      window.close();
+    });
   });
 
   // Save settings
+  // Show path problems inline as the user types
+  function validatePath() {
+    const validation = PathValidator.validateDirectory(pathInput.value);
+    pathInput.classList.toggle('invalid', !validation.valid);
+    pathError.textContent = validation.errors.join('. ');
+    pathError.classList.toggle('hidden', validation.valid);
+    return validation;
+  }
+
+  pathInput.addEventListener('input', validatePath);
+
   saveBtn.addEventListener('click', function() {
+    const validation = validatePath();
+    if (!validation.valid) {
+      status.textContent = 'Fix the download directory first';
+      status.style.color = '#dc3545';
+      return;
+    }
+
     const settings = {
       action: 'saveSettings',
       silentDownloads: silentCheckbox.checked,
-      defaultPath: pathInput.value.trim()
+      defaultPath: validation.normalized
     };
 
     chrome.runtime.sendMessage(settings, (response) => {
       if (response && response.success) {
+        loadSilentStatus();
         status.textContent = 'Settings saved!';
         status.style.color = '#28a745';
         setTimeout(() => {
@@ -37,6 +318,276 @@ document.addEventListener('DOMContentLoaded', function() {
     });
   });
 
+  // Sites held by flood protection, each waiting to be allowed or rejected
+  const floodSection = document.getElementById('floodSection');
+  const floodSites = document.getElementById('floodSites');
+
+  function loadFloodedSites() {
+    chrome.runtime.sendMessage({action: 'getFloodedSites'}, (response) => {
+      const sites = (response && response.sites) || [];
+      floodSites.innerHTML = '';
+      floodSection.classList.toggle('hidden', !sites.length);
+
+      sites.forEach(entry => {
+        const row = document.createElement('div');
+        row.className = 'flood-site';
+
+        const description = document.createElement('div');
+        const held = entry.action === 'cancel' ? 'cancelled' : 'paused';
+        description.textContent = `${entry.site} started ${entry.count} downloads; further downloads are ${held}.`;
+
+        const actions = document.createElement('div');
+        actions.className = 'site-actions';
+        const allowBtn = document.createElement('button');
+        allowBtn.className = 'options-btn';
+        allowBtn.textContent = 'Allow this site';
+        allowBtn.addEventListener('click', () => resolveFloodedSite(entry.site, true));
+        const rejectBtn = document.createElement('button');
+        rejectBtn.className = 'options-btn';
+        rejectBtn.textContent = 'Cancel its downloads';
+        rejectBtn.addEventListener('click', () => resolveFloodedSite(entry.site, false));
+        actions.append(allowBtn, rejectBtn);
+
+        row.append(description, actions);
+        floodSites.appendChild(row);
+      });
+    });
+  }
+
+  function resolveFloodedSite(site, allow) {
+    chrome.runtime.sendMessage({action: 'resolveFloodedSite', site, allow}, () => {
+      loadFloodedSites();
+      refreshDownloads();
+    });
+  }
+
+  loadFloodedSites();
+
+  // Live download dashboard
+  const downloadList = document.getElementById('downloadList');
+  const pauseAllBtn = document.getElementById('pauseAllBtn');
+  const resumeAllBtn = document.getElementById('resumeAllBtn');
+  const MAX_DOWNLOADS_SHOWN = 10;
+
+  // Last byte count seen per download, used to work out speed
+  const progressSamples = {};
+  let refreshTimer = null;
+
+  function formatBytes(bytes) {
+    if (!(bytes > 0)) return '0 B';
+    const units = ['B', 'KB', 'MB', 'GB'];
+    let size = bytes;
+    let unit = 0;
+    while (size >= 1024 && unit < units.length - 1) {
+      size /= 1024;
+      unit++;
+    }
+    return `${size.toFixed(unit ? 1 : 0)} ${units[unit]}`;
+  }
+
+  function formatDuration(seconds) {
+    if (!Number.isFinite(seconds) || seconds < 0) return '';
+    if (seconds < 60) return `${Math.ceil(seconds)}s`;
+    if (seconds < 3600) return `${Math.floor(seconds / 60)}m ${Math.ceil(seconds % 60)}s`;
+    return `${Math.floor(seconds / 3600)}h ${Math.floor((seconds % 3600) / 60)}m`;
+  }
+
+  // Bytes per second since the previous refresh
+  function measureSpeed(item) {
+    const now = Date.now();
+    const previous = progressSamples[item.id];
+    progressSamples[item.id] = { bytes: item.bytesReceived, time: now };
+
+    if (!previous || now === previous.time) return 0;
+    return Math.max(0, (item.bytesReceived - previous.bytes) * 1000 / (now - previous.time));
+  }
+
+  function describeDownload(item, speed) {
+    const total = item.totalBytes > 0 ? item.totalBytes : item.fileSize;
+
+    if (item.state === 'complete') return `${formatBytes(total)} · Done`;
+    if (item.state === 'interrupted') return `Failed (${item.error || 'unknown error'})`;
+    if (item.paused) return `${formatBytes(item.bytesReceived)} of ${formatBytes(total)} · Paused`;
+
+    const parts = [total > 0
+      ? `${formatBytes(item.bytesReceived)} of ${formatBytes(total)}`
+      : formatBytes(item.bytesReceived)];
+    if (speed > 0) parts.push(`${formatBytes(speed)}/s`);
+
+    let remaining = NaN;
+    if (item.estimatedEndTime) {
+      remaining = (new Date(item.estimatedEndTime) - Date.now()) / 1000;
+    } else if (speed > 0 && total > 0) {
+      remaining = (total - item.bytesReceived) / speed;
+    }
+    const eta = formatDuration(remaining);
+    if (eta) parts.push(`${eta} left`);
+
+    return parts.join(' · ');
+  }
+
+  function createControl(label, onClick) {
+    const button = document.createElement('button');
+    button.textContent = label;
+    button.addEventListener('click', () => {
+      onClick();
+      refreshDownloads();
+    });
+    return button;
+  }
+
+  function renderDownload(item) {
+    const speed = item.state === 'in_progress' && !item.paused ? measureSpeed(item) : 0;
+    const total = item.totalBytes > 0 ? item.totalBytes : item.fileSize;
+    const percent = item.state === 'complete' ? 100 : total > 0 ? Math.min(100, item.bytesReceived * 100 / total) : 0;
+
+    const row = document.createElement('div');
+    row.className = `download-item ${item.paused ? 'paused' : item.state}`;
+
+    const name = document.createElement('div');
+    name.className = 'download-name';
+    name.textContent = item.filename.split(/[\\/]/).pop() || item.url;
+    name.title = item.filename || item.url;
+
+    const progress = document.createElement('div');
+    progress.className = 'download-progress';
+    const bar = document.createElement('div');
+    bar.className = 'download-progress-bar';
+    bar.style.width = `${percent}%`;
+    progress.appendChild(bar);
+
+    const meta = document.createElement('div');
+    meta.className = 'download-meta';
+    meta.textContent = describeDownload(item, speed);
+
+    const controls = document.createElement('div');
+    controls.className = 'download-controls';
+
+    if (item.state === 'in_progress' && !item.paused) {
+      controls.appendChild(createControl('Pause', () => chrome.downloads.pause(item.id)));
+    }
+    if (item.canResume && (item.paused || item.state === 'interrupted')) {
+      controls.appendChild(createControl('Resume', () => chrome.downloads.resume(item.id)));
+    }
+    if (item.state === 'in_progress') {
+      controls.appendChild(createControl('Cancel', () => chrome.downloads.cancel(item.id)));
+    }
+    if (item.state === 'complete' && item.exists) {
+      controls.appendChild(createControl('Open', () => chrome.downloads.open(item.id)));
+      controls.appendChild(createControl('Show in folder', () => chrome.downloads.show(item.id)));
+    }
+
+    row.append(name, progress, meta, controls);
+    return row;
+  }
+
+  // Active downloads first, then the most recent finished ones
+  function refreshDownloads() {
+    chrome.downloads.search({orderBy: ['-startTime'], limit: 30}, (items) => {
+      const visible = (items || [])
+        .filter(item => item.state === 'in_progress' || item.state === 'interrupted' || item.exists)
+        .sort((a, b) => (b.state === 'in_progress') - (a.state === 'in_progress'))
+        .slice(0, MAX_DOWNLOADS_SHOWN);
+
+      downloadList.innerHTML = '';
+      if (!visible.length) {
+        const empty = document.createElement('div');
+        empty.className = 'download-empty';
+        empty.textContent = 'No recent downloads';
+        downloadList.appendChild(empty);
+      }
+      visible.forEach(item => downloadList.appendChild(renderDownload(item)));
+
+      // The browser doesn't report byte progress as an event, so poll while anything is running
+      const running = visible.some(item => item.state === 'in_progress' && !item.paused);
+      pauseAllBtn.disabled = !running;
+      resumeAllBtn.disabled = !visible.some(item => item.paused || (item.state === 'interrupted' && item.canResume));
+
+      clearTimeout(refreshTimer);
+      if (running) {
+        refreshTimer = setTimeout(refreshDownloads, 1000);
+      }
+    });
+  }
+
+  pauseAllBtn.addEventListener('click', function() {
+    chrome.downloads.search({state: 'in_progress', paused: false}, (items) => {
+      items.forEach(item => chrome.downloads.pause(item.id));
+      setTimeout(refreshDownloads, 100);
+    });
+  });
+
+  // Only downloads the user paused; the queue and flood protection release their own
+  resumeAllBtn.addEventListener('click', function() {
+    chrome.runtime.sendMessage({action: 'resumeUserPaused'}, () => {
+      setTimeout(refreshDownloads, 100);
+    });
+  });
+
+  // Downloads waiting for a free slot, in the order they will start
+  const queueSection = document.getElementById('queueSection');
+  const queueTitle = document.getElementById('queueTitle');
+  const queueList = document.getElementById('queueList');
+
+  function moveQueued(id, offset) {
+    chrome.runtime.sendMessage({action: 'moveQueuedDownload', id, offset}, refreshQueue);
+  }
+
+  function refreshQueue() {
+    chrome.runtime.sendMessage({action: 'getQueue'}, (response) => {
+      const queue = (response && response.queue) || [];
+      queueSection.classList.toggle('hidden', !queue.length);
+      if (!queue.length) return;
+
+      queueTitle.textContent = `Queue (${queue.length} waiting, ${response.running} running)`;
+      chrome.downloads.search({state: 'in_progress', paused: true}, (items) => {
+        const filenames = {};
+        (items || []).forEach(item => {
+          filenames[item.id] = item.filename.split(/[\\/]/).pop();
+        });
+
+        queueList.innerHTML = '';
+        queue.forEach((entry, index) => {
+          const row = document.createElement('div');
+          row.className = 'download-item paused';
+
+          const name = document.createElement('div');
+          name.className = 'download-name';
+          name.textContent = `${index + 1}. ${filenames[entry.id] || entry.url}`;
+          name.title = entry.url;
+
+          const controls = document.createElement('div');
+          controls.className = 'download-controls';
+          if (index > 0) {
+            controls.appendChild(createControl('Up', () => moveQueued(entry.id, -1)));
+          }
+          if (index < queue.length - 1) {
+            controls.appendChild(createControl('Down', () => moveQueued(entry.id, 1)));
+          }
+          controls.appendChild(createControl('Start now', () => {
+            chrome.runtime.sendMessage({action: 'startQueuedDownload', id: entry.id}, refreshQueue);
+          }));
+
+          row.append(name, controls);
+          queueList.appendChild(row);
+        });
+      });
+    });
+  }
+
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes.downloadQueue) refreshQueue();
+  });
+  refreshQueue();
+
+  chrome.downloads.onCreated.addListener(refreshDownloads);
+  chrome.downloads.onChanged.addListener(refreshDownloads);
+  chrome.downloads.onErased.addListener(refreshDownloads);
+  refreshDownloads();
+
+  // Failed downloads are visible in the list now, so clear the badge warning
+  chrome.runtime.sendMessage({action: 'acknowledgeFailures'});
+
   // Open options page
   optionsBtn.addEventListener('click', function() {
     chrome.runtime.openOptionsPage();
@@ -0,0 +1,453 @@
+// settings-schema.js - Settings schema shared by the background worker, options page and content script
+
+const SettingsSchema = (() => {
+  // Current version of the stored settings layout; bump it when adding a migration
+  const version = 1;
+  
+  // Identifies exported configuration files
+  const exportFormat = 'silent-downloads-settings';
+  
+  const conflictActions = ['uniquify', 'overwrite', 'prompt', 'skip'];
+  const sitePolicyValues = ['silent', 'prompt', 'inherit'];
+  const safetyActions = ['allow', 'prompt', 'block'];
+  
+  // Shipped safety categories: installers and executables, and very large files
+  const defaultSafetyCategories = [
+    {
+      name: 'Executables and installers',
+      extensions: ['exe', 'msi', 'msix', 'bat', 'cmd', 'com', 'scr', 'ps1', 'vbs', 'jar', 'dmg', 'pkg', 'apk', 'deb', 'rpm', 'sh', 'appimage'],
+      mimeTypes: [
+        'application/x-msdownload',
+        'application/x-msi',
+        'application/vnd.microsoft.portable-executable',
+        'application/x-apple-diskimage',
+        'application/java-archive',
+        'application/vnd.android.package-archive',
+        'application/x-sh'
+      ],
+      action: 'prompt'
+    },
+    {
+      name: 'Files over 2 GB',
+      minSize: 2 * 1024 * 1024 * 1024,
+      action: 'prompt'
+    }
+  ];
+  
+  function isStringList(value) {
+    return Array.isArray(value) && value.every(item => typeof item === 'string');
+  }
+  
+  // Validate one routing rule, returning a list of problems
+  function validateRoutingRule(rule) {
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule)) return ['must be an object'];
+    
+    const errors = [];
+    const allowedKeys = ['name', 'folder', 'extensions', 'mimeTypes', 'domains', 'referrers', 'minSize', 'maxSize'];
+    
+    Object.keys(rule)
+      .filter(key => !allowedKeys.includes(key))
+      .forEach(key => errors.push(`unknown field "${key}"`));
+    
+    if (typeof rule.folder !== 'string' || !rule.folder.trim()) errors.push('"folder" must be a non-empty string');
+    if (rule.name !== undefined && typeof rule.name !== 'string') errors.push('"name" must be a string');
+    
+    ['extensions', 'mimeTypes', 'domains', 'referrers'].forEach(key => {
+      if (rule[key] !== undefined && !isStringList(rule[key])) errors.push(`"${key}" must be a list of strings`);
+    });
+    
+    ['minSize', 'maxSize'].forEach(key => {
+      if (rule[key] !== undefined && !(typeof rule[key] === 'number' && rule[key] >= 0)) {
+        errors.push(`"${key}" must be a number of bytes`);
+      }
+    });
+    
+    return errors;
+  }
+  
+  // Validate one site policy entry, returning a list of problems
+  function validateSitePolicy(entry) {
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) return ['must be an object'];
+    
+    const errors = [];
+    Object.keys(entry)
+      .filter(key => key !== 'pattern' && key !== 'policy')
+      .forEach(key => errors.push(`unknown field "${key}"`));
+    
+    if (typeof entry.pattern !== 'string' || !entry.pattern.trim()) errors.push('"pattern" must be a non-empty string');
+    if (!sitePolicyValues.includes(entry.policy)) errors.push(`"policy" must be one of ${sitePolicyValues.join(', ')}`);
+    
+    return errors;
+  }
+  
+  // Validate one notification suppression rule, returning a list of problems
+  function validateSuppressionRule(rule) {
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule)) return ['must be an object'];
+    
+    const errors = [];
+    const patternKeys = ['titlePattern', 'messagePattern', 'idPattern'];
+    
+    Object.keys(rule)
+      .filter(key => !patternKeys.includes(key))
+      .forEach(key => errors.push(`unknown field "${key}"`));
+    
+    patternKeys.forEach(key => {
+      if (rule[key] === undefined) return;
+      if (typeof rule[key] !== 'string') {
+        errors.push(`"${key}" must be a string`);
+        return;
+      }
+      try {
+        new RegExp(rule[key]);
+      } catch (error) {
+        errors.push(`"${key}" is not a valid pattern`);
+      }
+    });
+    
+    if (!patternKeys.some(key => rule[key])) errors.push('needs at least one pattern');
+    return errors;
+  }
+  
+  // Validate one safety category, returning a list of problems
+  function validateSafetyCategory(category) {
+    if (!category || typeof category !== 'object' || Array.isArray(category)) return ['must be an object'];
+    
+    const errors = [];
+    const allowedKeys = ['name', 'extensions', 'mimeTypes', 'minSize', 'action'];
+    
+    Object.keys(category)
+      .filter(key => !allowedKeys.includes(key))
+      .forEach(key => errors.push(`unknown field "${key}"`));
+    
+    if (typeof category.name !== 'string' || !category.name.trim()) errors.push('"name" must be a non-empty string');
+    if (!safetyActions.includes(category.action)) errors.push(`"action" must be one of ${safetyActions.join(', ')}`);
+    
+    ['extensions', 'mimeTypes'].forEach(key => {
+      if (category[key] !== undefined && !isStringList(category[key])) errors.push(`"${key}" must be a list of strings`);
+    });
+    if (category.minSize !== undefined && !(typeof category.minSize === 'number' && category.minSize > 0)) {
+      errors.push('"minSize" must be a number of bytes');
+    }
+    
+    if (!category.extensions?.length && !category.mimeTypes?.length && !category.minSize) {
+      errors.push('needs extensions, MIME types or a minimum size');
+    }
+    return errors;
+  }
+  
+  function validateHostPattern(pattern) {
+    return typeof pattern === 'string' && pattern.trim() ? [] : ['must be a non-empty host pattern'];
+  }
+  
+  // Validate one rule for notifications created by web pages, returning a list of problems
+  function validatePageNotificationRule(rule) {
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule)) return ['must be an object'];
+    
+    const errors = [];
+    const patternKeys = ['titlePattern', 'bodyPattern'];
+    
+    Object.keys(rule)
+      .filter(key => !patternKeys.includes(key))
+      .forEach(key => errors.push(`unknown field "${key}"`));
+    
+    patternKeys.forEach(key => {
+      if (rule[key] === undefined) return;
+      if (typeof rule[key] !== 'string') {
+        errors.push(`"${key}" must be a string`);
+        return;
+      }
+      try {
+        new RegExp(rule[key]);
+      } catch (error) {
+        errors.push(`"${key}" is not a valid pattern`);
+      }
+    });
+    
+    if (!patternKeys.some(key => rule[key])) errors.push('needs at least one pattern');
+    return errors;
+  }
+  
+  // Validate one per-site page hiding rule, returning a list of problems
+  function validateHidingRule(rule) {
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule)) return ['must be an object'];
+    
+    const errors = [];
+    Object.keys(rule)
+      .filter(key => !['pattern', 'hide', 'exclude'].includes(key))
+      .forEach(key => errors.push(`unknown field "${key}"`));
+    
+    errors.push(...validateHostPattern(rule.pattern).map(error => `"pattern" ${error}`));
+    ['hide', 'exclude'].forEach(key => {
+      if (rule[key] !== undefined && !isStringList(rule[key])) errors.push(`"${key}" must be a list of selectors`);
+    });
+    
+    return errors;
+  }
+  
+  // Validate one context-menu folder shortcut, returning a list of problems
+  function validateFolderShortcut(shortcut) {
+    if (!shortcut || typeof shortcut !== 'object' || Array.isArray(shortcut)) return ['must be an object'];
+    
+    const errors = [];
+    Object.keys(shortcut)
+      .filter(key => key !== 'name' && key !== 'folder')
+      .forEach(key => errors.push(`unknown field "${key}"`));
+    
+    if (typeof shortcut.name !== 'string' || !shortcut.name.trim()) errors.push('"name" must be a non-empty string');
+    if (typeof shortcut.folder !== 'string' || !shortcut.folder.trim()) errors.push('"folder" must be a non-empty string');
+    
+    return errors;
+  }
+  
+  // Validate one per-host concurrency limit, returning a list of problems
+  function validateHostLimit(entry) {
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) return ['must be an object'];
+    
+    const errors = [];
+    Object.keys(entry)
+      .filter(key => key !== 'pattern' && key !== 'limit')
+      .forEach(key => errors.push(`unknown field "${key}"`));
+    
+    if (typeof entry.pattern !== 'string' || !entry.pattern.trim()) errors.push('"pattern" must be a non-empty string');
+    if (!Number.isInteger(entry.limit) || entry.limit < 1 || entry.limit > 20) {
+      errors.push('"limit" must be a whole number between 1 and 20');
+    }
+    
+    return errors;
+  }
+  
+  // Validate one quiet-hours window, returning a list of problems
+  function validateScheduleWindow(entry) {
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) return ['must be an object'];
+    
+    const errors = [];
+    Object.keys(entry)
+      .filter(key => !['day', 'start', 'end'].includes(key))
+      .forEach(key => errors.push(`unknown field "${key}"`));
+    
+    if (!Number.isInteger(entry.day) || entry.day < 0 || entry.day > 6) {
+      errors.push('"day" must be a weekday number from 0 (Sunday) to 6 (Saturday)');
+    }
+    ['start', 'end'].forEach(key => {
+      if (typeof entry[key] !== 'string' || !/^([01][0-9]|2[0-3]):[0-5][0-9]$/.test(entry[key])) {
+        errors.push(`"${key}" must be a time such as "09:30"`);
+      }
+    });
+    if (entry.start === entry.end) errors.push('"start" and "end" must differ');
+    
+    return errors;
+  }
+  
+  // An empty time zone means the browser's own
+  function validateTimezone(timeZone) {
+    if (!timeZone) return [];
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone });
+      return [];
+    } catch (error) {
+      return [`"${timeZone}" is not a known time zone`];
+    }
+  }
+  
+  // Settings stored in chrome.storage.sync
+  const fields = {
+    silentDownloads: { type: 'boolean', default: true },
+    defaultPath: { type: 'string', default: '' },
+    hideNotifications: { type: 'boolean', default: true },
+    hideDownloadBar: { type: 'boolean', default: true },
+    // Notifications from web pages (new Notification, showNotification) that match a rule are dropped.
+    // The defaults only catch wording about downloads and titles that are just a downloaded file's name.
+    pageNotificationRules: {
+      type: 'array',
+      default: [
+        { titlePattern: 'download (complete|completed|finished|ready|failed)|downloaded|downloading' },
+        { bodyPattern: 'download (complete|completed|finished|ready|failed)|downloaded|downloading' },
+        { titlePattern: '\\.(zip|rar|7z|pdf|exe|msi|dmg|pkg|apk|iso)$' }
+      ],
+      validateItem: validatePageNotificationRule
+    },
+    // Answer pages' notification permission requests with "default" instead of prompting
+    blockNotificationPrompts: { type: 'boolean', default: false },
+    // Per-site CSS selectors content.js also hides ("hide") or always leaves visible ("exclude")
+    hidingRules: { type: 'array', default: [], validateItem: validateHidingRule },
+    autoStart: { type: 'boolean', default: true },
+    routingRules: { type: 'array', default: [], validateItem: validateRoutingRule },
+    filenameTemplate: { type: 'string', default: '' },
+    sitePolicies: { type: 'array', default: [], validateItem: validateSitePolicy },
+    conflictAction: { type: 'string', default: 'uniquify', values: conflictActions },
+    retryEnabled: { type: 'boolean', default: true },
+    retryMaxAttempts: { type: 'number', default: 3, min: 1, max: 10 },
+    // Seconds; chrome.alarms won't fire sooner than 30 seconds
+    retryBaseDelay: { type: 'number', default: 30, min: 30, max: 3600 },
+    suppressionRules: {
+      type: 'array',
+      default: [
+        { titlePattern: 'download|saved|complete|finished' },
+        { messagePattern: 'download|saved|complete|finished' }
+      ],
+      validateItem: validateSuppressionRule
+    },
+    // Seconds after a download starts or completes during which new notifications count as related
+    suppressionWindow: { type: 'number', default: 10, min: 1, max: 60 },
+    suppressionDryRun: { type: 'boolean', default: false },
+    digestEnabled: { type: 'boolean', default: false },
+    // Seconds without a finished download before the digest is shown
+    digestWindow: { type: 'number', default: 60, min: 30, max: 3600 },
+    digestTriggerCount: { type: 'number', default: 10, min: 1, max: 100 },
+    // When enabled, silent mode only applies inside these weekly windows
+    scheduleEnabled: { type: 'boolean', default: false },
+    scheduleWindows: { type: 'array', default: [], validateItem: validateScheduleWindow },
+    scheduleTimezone: { type: 'string', default: '', validate: validateTimezone },
+    // Checked before every download; the first matching category decides
+    safetyEnabled: { type: 'boolean', default: true },
+    safetyCategories: { type: 'array', default: defaultSafetyCategories, validateItem: validateSafetyCategory },
+    // Hosts, matched like site policies, whose downloads skip the safety check
+    safetyExceptions: { type: 'array', default: [], validateItem: validateHostPattern },
+    // A site that starts more than floodThreshold downloads within floodWindow seconds is held
+    floodProtectionEnabled: { type: 'boolean', default: true },
+    floodThreshold: { type: 'number', default: 5, min: 2, max: 100 },
+    floodWindow: { type: 'number', default: 10, min: 1, max: 300 },
+    floodAction: { type: 'string', default: 'pause', values: ['pause', 'cancel'] },
+    // Downloads over these limits are paused and started again in queue order
+    queueEnabled: { type: 'boolean', default: false },
+    queueMaxConcurrent: { type: 'number', default: 3, min: 1, max: 20 },
+    queueHostLimits: { type: 'array', default: [], validateItem: validateHostLimit },
+    // Destinations offered by the "Download silently to" context menu
+    folderShortcuts: { type: 'array', default: [], validateItem: validateFolderShortcut }
+  };
+  
+  // Settings kept in chrome.storage.local because they only apply to this machine
+  const localFields = {
+    debugMode: { type: 'boolean', default: false }
+  };
+  
+  function collectDefaults(fieldSet) {
+    const result = {};
+    Object.entries(fieldSet).forEach(([key, field]) => {
+      result[key] = field.default;
+    });
+    return result;
+  }
+  
+  const defaults = collectDefaults(fields);
+  const localDefaults = collectDefaults(localFields);
+  
+  // Check a single value against its field definition
+  function validateField(key, field, value) {
+    const errors = [];
+    
+    if (field.type === 'array') {
+      if (!Array.isArray(value)) return [`${key}: must be a list`];
+      if (field.validateItem) {
+        value.forEach((item, index) => {
+          field.validateItem(item).forEach(error => errors.push(`${key}[${index}]: ${error}`));
+        });
+      }
+    } else if (typeof value !== field.type) {
+      errors.push(`${key}: must be a ${field.type}`);
+    } else if (field.values && !field.values.includes(value)) {
+      errors.push(`${key}: must be one of ${field.values.join(', ')}`);
+    } else if (field.type === 'number' && (!Number.isFinite(value) ||
+               (field.min !== undefined && value < field.min) ||
+               (field.max !== undefined && value > field.max))) {
+      errors.push(`${key}: must be a number between ${field.min} and ${field.max}`);
+    } else if (field.validate) {
+      field.validate(value).forEach(error => errors.push(`${key}: ${error}`));
+    }
+    
+    return errors;
+  }
+  
+  // Validate a group of settings against a field set
+  function validateGroup(data, fieldSet, groupName, report) {
+    if (data === undefined) return {};
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      report.errors.push(`"${groupName}" must be an object`);
+      return {};
+    }
+    
+    const values = {};
+    Object.entries(data).forEach(([key, value]) => {
+      const field = fieldSet[key];
+      if (!field) {
+        report.unknownKeys.push(`${groupName}.${key}`);
+        return;
+      }
+      
+      const errors = validateField(key, field, value);
+      if (errors.length) {
+        report.errors.push(...errors);
+      } else {
+        values[key] = value;
+      }
+    });
+    return values;
+  }
+  
+  // Build the export document for the current configuration
+  function createExport(settings, localSettings) {
+    const pick = (source, fieldSet) => {
+      const result = {};
+      Object.keys(fieldSet).forEach(key => {
+        result[key] = source[key] !== undefined ? source[key] : fieldSet[key].default;
+      });
+      return result;
+    };
+    
+    return {
+      format: exportFormat,
+      settingsVersion: version,
+      exportedAt: new Date().toISOString(),
+      settings: pick(settings, fields),
+      local: pick(localSettings, localFields)
+    };
+  }
+  
+  // Parse and validate an exported configuration file.
+  // Returns { errors, unknownKeys, settings, local }; only apply it when both lists are empty.
+  function parseImport(text) {
+    const report = { errors: [], unknownKeys: [], settings: {}, local: {} };
+    
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      report.errors.push(`Not valid JSON: ${error.message}`);
+      return report;
+    }
+    
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      report.errors.push('The file must contain a JSON object');
+      return report;
+    }
+    
+    if (data.format !== exportFormat) {
+      report.errors.push(`Unrecognized file format (expected "${exportFormat}")`);
+      return report;
+    }
+    
+    if (typeof data.settingsVersion !== 'number' || data.settingsVersion > version) {
+      report.errors.push(`Settings version ${data.settingsVersion} is not supported by this version of the extension`);
+      return report;
+    }
+    
+    Object.keys(data)
+      .filter(key => !['format', 'settingsVersion', 'exportedAt', 'settings', 'local'].includes(key))
+      .forEach(key => report.unknownKeys.push(key));
+    
+    report.settings = validateGroup(data.settings, fields, 'settings', report);
+    report.local = validateGroup(data.local, localFields, 'local', report);
+    return report;
+  }
+  
+  return {
+    version,
+    fields,
+    localFields,
+    defaults,
+    localDefaults,
+    validateField,
+    createExport,
+    parseImport
+  };
+})();
\ No newline at end of file
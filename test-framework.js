@@ -13,6 +13,7 @@ const SilentDownloadsTest = (() => {
   const results = {
     passed: 0,
     failed: 0,
+    skipped: 0,
     total: 0,
     tests: []
   };
@@ -41,9 +42,100 @@ const SilentDownloadsTest = (() => {
     }
   }
   
+  // Give the extension time to react, such as content.js applying new page settings
+  function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+  
+  // Page tests run in a web page's console with the extension's content script selected as
+  // the context, which is where chrome.storage is available on a regular web page
+  function inContentScript() {
+    return typeof chrome !== 'undefined' && Boolean(chrome.storage) && /^https?:$/.test(location.protocol);
+  }
+  
+  // Publish page settings the way the background does, resolving to the ones they replaced
+  function setPageSettings(pageSettings) {
+    return new Promise(resolve => {
+      chrome.storage.local.get(['pageSettings'], (result) => {
+        chrome.storage.local.set({ pageSettings }, () => resolve(result.pageSettings));
+      });
+    });
+  }
+  
+  // Put back the page settings a test replaced; the background republishes them on its next change
+  function restorePageSettings(previous) {
+    return new Promise(resolve => {
+      if (previous) {
+        chrome.storage.local.set({ pageSettings: previous }, resolve);
+      } else {
+        chrome.storage.local.remove('pageSettings', resolve);
+      }
+    });
+  }
+  
+  // Send a message to the background, resolving to its response, or null if it couldn't be delivered
+  function sendMessage(message) {
+    return new Promise(resolve => {
+      chrome.runtime.sendMessage(message, response => resolve(chrome.runtime.lastError ? null : response));
+    });
+  }
+  
+  // Read the settings a test is about to change, resolving to null if they couldn't be read
+  async function snapshotSettings(keys) {
+    const settings = await sendMessage({ action: 'getSettings' });
+    if (!settings) return null;
+    
+    const saved = {};
+    keys.forEach(key => { saved[key] = settings[key]; });
+    return saved;
+  }
+  
+  // Put back the settings a test changed
+  function restoreSettings(saved) {
+    return sendMessage({ action: 'saveSettings', ...saved });
+  }
+  
+  // Consoles the tests can run from. Each test names the one it needs and is skipped
+  // anywhere else, so a full run only fails on real regressions.
+  const contexts = {
+    extensionPage: {
+      description: 'an extension page such as the options page',
+      isCurrent: () => typeof document !== 'undefined' && location.protocol === 'chrome-extension:'
+    },
+    // settings-schema.js, path-validator.js and filename-template.js load in both
+    sharedModules: {
+      description: 'the options page or the service worker',
+      isCurrent: () => typeof SettingsSchema !== 'undefined' && typeof PathValidator !== 'undefined' &&
+        typeof FilenameTemplate !== 'undefined'
+    },
+    serviceWorker: {
+      description: 'the service worker',
+      isCurrent: () => typeof handleDeterminingFilename === 'function'
+    },
+    contentScript: {
+      description: 'a web page with the extension\'s content script selected',
+      isCurrent: inContentScript
+    },
+    page: {
+      description: 'a web page\'s own console',
+      isCurrent: () => typeof location !== 'undefined' && /^https?:$/.test(location.protocol) &&
+        !(typeof chrome !== 'undefined' && chrome.storage)
+    }
+  };
+  
   // Test runner
   async function runTest(test) {
     log(`Running test: ${test.name}`, 'header');
+    
+    const context = contexts[test.context];
+    if (context && !context.isCurrent()) {
+      const message = `Skipped: runs from ${context.description}`;
+      results.skipped++;
+      log(message, 'warning');
+      results.tests.push({ name: test.name, skipped: true, message });
+      return { success: true, skipped: true, message };
+    }
+    
     results.total++;
     
     try {
@@ -92,6 +184,7 @@ const SilentDownloadsTest = (() => {
     // Reset results
     results.passed = 0;
     results.failed = 0;
+    results.skipped = 0;
     results.total = 0;
     results.tests = [];
     
@@ -114,11 +207,12 @@ const SilentDownloadsTest = (() => {
     log(`Total tests: ${results.total}`, 'info');
     log(`Passed: ${results.passed}`, 'success');
     log(`Failed: ${results.failed}`, results.failed > 0 ? 'error' : 'info');
+    log(`Skipped in this context: ${results.skipped}`, 'info');
     
     if (results.failed > 0) {
       log('Failed tests:', 'error');
       results.tests
-        .filter(test => !test.success)
+        .filter(test => !test.success && !test.skipped)
         .forEach(test => log(`- ${test.name}: ${test.message}`, 'error'));
     }
   }
@@ -254,12 +348,497 @@ const SilentDownloadsTest = (() => {
     });
   }
   
+  // Test routing rules round-trip through the settings API
+  async function testRoutingRulesPersistence() {
+    const testRules = [
+      { name: 'PDFs', extensions: ['pdf'], folder: 'PDFs' },
+      { mimeTypes: ['application/x-msdownload'], domains: ['*.example.com'], folder: 'Installers/{domain}' }
+    ];
+    
+    const saved = await snapshotSettings(['routingRules']);
+    if (!saved) return assert(false, 'Failed to read the current routing rules');
+    
+    try {
+      const response = await sendMessage({ action: 'saveSettings', routingRules: testRules });
+      if (!response || !response.success) return assert(false, 'Failed to save routing rules');
+      
+      const retrievedSettings = await sendMessage({ action: 'getSettings' });
+      if (!retrievedSettings) return assert(false, 'Failed to retrieve routing rules');
+      
+      const rulesMatch = JSON.stringify(retrievedSettings.routingRules) === JSON.stringify(testRules);
+      return assert(rulesMatch, 'Routing rules persist in order');
+    } finally {
+      // Put the user's own rules back so the test ones don't affect real downloads
+      await restoreSettings(saved);
+    }
+  }
+  
+  // Test the "When file exists" policy round-trips through the settings API
+  async function testConflictActionPersistence() {
+    const saved = await snapshotSettings(['conflictAction']);
+    if (!saved) return assert(false, 'Failed to read the current conflict action');
+    
+    try {
+      const response = await sendMessage({ action: 'saveSettings', conflictAction: 'skip' });
+      if (!response || !response.success) return assert(false, 'Failed to save conflict action');
+      
+      const retrievedSettings = await sendMessage({ action: 'getSettings' });
+      const actionMatches = retrievedSettings && retrievedSettings.conflictAction === 'skip';
+      return assert(actionMatches, 'Conflict action persists through the settings API');
+    } finally {
+      // Restore the user's policy
+      await restoreSettings(saved);
+    }
+  }
+  
+  // Test that configuration imports are validated before anything is applied
+  async function testSettingsImportValidation() {
+    const exported = SettingsSchema.createExport({ silentDownloads: false }, { debugMode: true });
+    const validReport = SettingsSchema.parseImport(JSON.stringify(exported));
+    
+    exported.settings.conflictAction = 'sometimes';
+    exported.settings.unexpected = true;
+    const invalidReport = SettingsSchema.parseImport(JSON.stringify(exported));
+    
+    const passed =
+      validReport.errors.length === 0 &&
+      validReport.unknownKeys.length === 0 &&
+      validReport.settings.silentDownloads === false &&
+      validReport.local.debugMode === true &&
+      invalidReport.errors.length === 1 &&
+      invalidReport.unknownKeys.includes('settings.unexpected');
+    
+    return assert(passed, 'Settings import reports invalid and unknown keys');
+  }
+  
+  // Test download path validation and sanitization
+  async function testPathValidation() {
+    const normalized = PathValidator.validateDirectory('Downloads\\Reports/');
+    const rejected = ['C:\\Temp', '/tmp', '../outside', 'Reports/CON', 'Reports.', 'a<b']
+      .every(path => !PathValidator.validateDirectory(path).valid);
+    
+    const passed =
+      normalized.valid && normalized.normalized === 'Downloads/Reports' &&
+      rejected &&
+      PathValidator.sanitizeFilename('nul.txt') === '_nul.txt' &&
+      PathValidator.sanitizeFilename('report:final?.csv') === 'report_final_.csv' &&
+      PathValidator.sanitizePath('../Installers/./a.b.') === 'Installers/a.b';
+    
+    return assert(passed, 'Paths are validated and sanitized');
+  }
+  
+  // Test the retry backoff doubles per attempt and gives up at the limit or on errors not worth retrying
+  async function testRetryBackoff() {
+    const settings = { retryMaxAttempts: 3, retryBaseDelay: 5 };
+    const delays = [0, 1, 2, 3].map(attempts => nextRetryDelay('NETWORK_FAILED', attempts, settings));
+    
+    const passed =
+      JSON.stringify(delays) === JSON.stringify([5, 10, 20, null]) &&
+      nextRetryDelay('FILE_ACCESS_DENIED', 0, settings) === null &&
+      nextRetryDelay('NETWORK_FAILED', 0, { retryMaxAttempts: 0, retryBaseDelay: 5 }) === null;
+    
+    return assert(passed, 'Retries back off exponentially and give up after the last attempt');
+  }
+  
+  // Test suppression rules match only when every pattern they set matches
+  async function testSuppressionRuleMatching() {
+    const details = { title: 'Download complete', message: 'report.pdf finished' };
+    
+    const passed =
+      notificationMatchesRule('id-1', details, { titlePattern: 'download', messagePattern: '\\.pdf' }) &&
+      !notificationMatchesRule('id-1', details, { titlePattern: 'download', messagePattern: '\\.zip' }) &&
+      notificationMatchesRule('chrome-download-7', {}, { idPattern: '^chrome-download-' }) &&
+      !notificationMatchesRule('id-1', {}, { titlePattern: 'download' }) &&
+      !notificationMatchesRule('id-1', details, {}) &&
+      notificationMatchesRule('id-1', { title: 'Saved (1)' }, { titlePattern: 'Saved (' });
+    
+    return assert(passed, 'Suppression rules need every pattern they set to match');
+  }
+  
+  // Test that dry-run mode leaves a matching notification alone and normal mode clears it
+  async function testSuppressionDryRun() {
+    const testNotificationId = 'test-suppression-notification';
+    
+    const survives = dryRun => new Promise(resolve => {
+      suppressRelatedNotifications('test', {
+        suppressionRules: [{ idPattern: `^${testNotificationId}$` }],
+        suppressionWindow: 1,
+        suppressionDryRun: dryRun
+      });
+      
+      // Show the notification after the download event, then look for it once the first sweep has run
+      setTimeout(() => {
+        chrome.notifications.create(testNotificationId, {
+          type: 'basic',
+          iconUrl: 'data:image/gif;base64,R0lGODlhAQABAAAAACH5BAEKAAEALAAAAAABAAEAAAICTAEAOw==',
+          title: 'Test notification',
+          message: 'Used by the suppression test'
+        });
+      }, 100);
+      
+      setTimeout(() => {
+        chrome.notifications.getAll(notifications => {
+          const exists = Object.keys(notifications || {}).includes(testNotificationId);
+          chrome.notifications.clear(testNotificationId, () => resolve(exists));
+        });
+      }, 1000);
+    });
+    
+    const keptInDryRun = await survives(true);
+    const keptNormally = await survives(false);
+    
+    return assert(keptInDryRun && !keptNormally, 'Dry run only logs matching notifications');
+  }
+  
+  // Test that a quiet-hours window around the current time makes downloads silent until it ends
+  async function testQuietHoursStatus() {
+    const clock = date => `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+    const start = new Date(Date.now() - 60 * 60 * 1000);
+    const end = new Date(Date.now() + 60 * 60 * 1000);
+    
+    const schedule = {
+      action: 'saveSettings',
+      silentDownloads: true,
+      scheduleEnabled: true,
+      scheduleTimezone: '',
+      scheduleWindows: [{ day: start.getDay(), start: clock(start), end: clock(end) }]
+    };
+    
+    const saved = await snapshotSettings(['silentDownloads', 'scheduleEnabled', 'scheduleTimezone', 'scheduleWindows']);
+    if (!saved) return assert(false, 'Failed to read the current schedule');
+    
+    try {
+      const response = await sendMessage(schedule);
+      if (!response || !response.success) return assert(false, 'Failed to save quiet hours');
+      
+      const status = await sendMessage({ action: 'getStatus' });
+      const passed = status && status.silent && status.scheduled && status.until === clock(end);
+      return assert(passed, 'Quiet hours report silent mode until the window ends');
+    } finally {
+      // Put the user's silent mode and schedule back
+      await restoreSettings(saved);
+    }
+  }
+  
+  // Test that flood protection lets a site reach the threshold and holds what comes after it
+  async function testFloodThreshold() {
+    const site = 'https://flood-test.invalid';
+    const settings = { floodThreshold: 3, floodWindow: 60, floodAction: 'pause' };
+    const flaggedEntry = () => new Promise(resolve => {
+      chrome.storage.local.get(['floodGuard'], result => resolve(((result.floodGuard || {}).flagged || {})[site] || null));
+    });
+    
+    // Ids no real download uses, so pausing them does nothing
+    const download = id => checkDownloadFlood({ id, url: `${site}/file-${-id}.bin`, referrer: `${site}/` }, settings);
+    
+    for (const id of [-1, -2, -3]) await download(id);
+    const atThreshold = await flaggedEntry();
+    await download(-4);
+    const overThreshold = await flaggedEntry();
+    await download(-5);
+    const held = await flaggedEntry();
+    
+    // Forget the test site again
+    await resolveFloodedSite(site, false);
+    
+    const passed =
+      atThreshold === null &&
+      overThreshold && overThreshold.count === 4 && overThreshold.action === 'pause' &&
+      held && JSON.stringify(held.held) === JSON.stringify([-4, -5]);
+    
+    return assert(passed, 'Flood protection holds downloads past the threshold');
+  }
+  
+  // Test that switching download bar hiding off restores hidden elements on a live page
+  async function testLivePageSettings() {
+    const pageSettings = { silent: true, hideDownloadBar: true, hideNotifications: true };
+    const previous = await setPageSettings(pageSettings);
+    
+    const element = document.createElement('div');
+    element.className = 'download-item';
+    document.body.appendChild(element);
+    await delay(1000);
+    const hiddenWhileOn = element.style.display === 'none';
+    
+    await setPageSettings({ ...pageSettings, hideDownloadBar: false });
+    await delay(200);
+    const shownWhenOff = element.style.display !== 'none' && !document.querySelector('style[data-silent-downloads]');
+    
+    element.remove();
+    await restorePageSettings(previous);
+    
+    return assert(hiddenWhileOn && shownWhenOff, 'Page hiding follows the settings without a reload');
+  }
+  
+  // Test that page hiding rules are checked before they're saved
+  async function testHidingRuleValidation() {
+    const errorsFor = rules => SettingsSchema.validateField('hidingRules', SettingsSchema.fields.hidingRules, rules);
+    
+    const passed =
+      errorsFor([{ pattern: '*.example.com', hide: ['.promo'], exclude: ['#main .download-item'] }]).length === 0 &&
+      errorsFor([{ pattern: '', hide: ['.promo'] }]).length === 1 &&
+      errorsFor([{ pattern: 'example.com', hide: '.promo' }]).length === 1 &&
+      errorsFor([{ pattern: 'example.com', selector: '.promo' }]).length === 1 &&
+      errorsFor({ pattern: 'example.com' }).length === 1;
+    
+    return assert(passed, 'Hiding rules need a host pattern and selector lists');
+  }
+  
+  // Test that hiding rules apply to their own site only, and that "never hide" selectors win
+  async function testSiteHidingRules() {
+    const previous = await setPageSettings({
+      silent: true,
+      hideDownloadBar: true,
+      hideNotifications: true,
+      hidingRules: [
+        { pattern: location.hostname, hide: ['.sd-test-hide'], exclude: ['.sd-test-keep'] },
+        { pattern: 'other-site.invalid', hide: ['.sd-test-other'] }
+      ]
+    });
+    await delay(200);
+    
+    const add = (className, parent = document.body) => {
+      const element = document.createElement('div');
+      element.className = className;
+      return parent.appendChild(element);
+    };
+    const hidden = add('sd-test-hide');
+    const otherSite = add('sd-test-other');
+    const kept = add('sd-test-keep');
+    const insideKept = add('download-item', kept);
+    await delay(1000);
+    
+    const isHidden = element => getComputedStyle(element).display === 'none';
+    const passed = isHidden(hidden) && !isHidden(otherSite) && !isHidden(kept) && !isHidden(insideKept);
+    
+    [hidden, otherSite, kept].forEach(element => element.remove());
+    await restorePageSettings(previous);
+    
+    return assert(passed, 'Hiding rules match this site and exclusions keep elements visible');
+  }
+  
+  // Test that a download toast deep inside a subtree too big for one batch is still found,
+  // and that a subtree past the observer's size limit is left to the stylesheet
+  async function testLargeSubtreeHiding() {
+    const previous = await setPageSettings({ silent: true, hideDownloadBar: true, hideNotifications: true });
+    await delay(200);
+    
+    // Filler elements with the element to find at the end
+    const subtree = (size, element) => {
+      const container = document.createElement('div');
+      for (let i = 0; i < size; i++) {
+        container.appendChild(document.createElement('span'));
+      }
+      container.lastElementChild.appendChild(element);
+      return document.body.appendChild(container);
+    };
+    
+    // Only the walk finds a toast by its text, so this one needs every batch of the subtree
+    const toast = document.createElement('div');
+    toast.className = 'sd-test-toast';
+    toast.textContent = 'Download complete';
+    const walked = subtree(300, toast);
+    
+    // Skipped by the observer, but the stylesheet covers the built-in selectors
+    const item = document.createElement('div');
+    item.className = 'download-item';
+    const skipped = subtree(600, item);
+    
+    const isHidden = element => getComputedStyle(element).display === 'none';
+    let hidden = false;
+    for (let waited = 0; waited < 4000 && !hidden; waited += 100) {
+      await delay(100);
+      hidden = isHidden(toast) && isHidden(item);
+    }
+    
+    walked.remove();
+    skipped.remove();
+    await restorePageSettings(previous);
+    
+    return assert(hidden, 'Download elements inside large subtrees are hidden');
+  }
+  
+  // Test that page notification rules are checked before they're saved
+  async function testPageNotificationRuleValidation() {
+    const field = SettingsSchema.fields.pageNotificationRules;
+    const errorsFor = rules => SettingsSchema.validateField('pageNotificationRules', field, rules);
+    
+    const passed =
+      errorsFor(field.default).length === 0 &&
+      errorsFor([{ titlePattern: 'download', bodyPattern: '\\.pdf$' }]).length === 0 &&
+      errorsFor([{ titlePattern: '(unclosed' }]).length === 1 &&
+      errorsFor([{}]).length === 1 &&
+      errorsFor([{ messagePattern: 'download' }]).length === 2;
+    
+    return assert(passed, 'Page notification rules need at least one valid pattern');
+  }
+  
+  // Test that the page's own notifications are dropped when a rule matches, and that blocked
+  // permission prompts answer "default". Sends page-notifications.js test rules; content.js
+  // sends the real ones only once per page load, so reload the page after running this.
+  async function testPageNotificationMatching() {
+    const suppressed = [];
+    const onSuppressed = event => suppressed.push(JSON.parse(event.detail));
+    document.addEventListener('silent-downloads:notification-suppressed', onSuppressed);
+    document.dispatchEvent(new CustomEvent('silent-downloads:notification-rules', {
+      detail: JSON.stringify({
+        enabled: true,
+        rules: [{ titlePattern: '^sd-test ', bodyPattern: '\\.sdtest$' }, { bodyPattern: '^sd-test body only$' }],
+        blockPrompts: true
+      })
+    }));
+    
+    new Notification('sd-test title', { body: 'report.sdtest' });
+    new Notification('Anything', { body: 'sd-test body only' });
+    const permission = await Notification.requestPermission();
+    
+    document.removeEventListener('silent-downloads:notification-suppressed', onSuppressed);
+    
+    // An unanswered page gets "default" instead of a prompt; otherwise the browser answers
+    const promptBlocked = Notification.permission !== 'default' || permission === 'default';
+    const passed =
+      suppressed.filter(entry => entry.kind === 'Notification').length === 2 &&
+      promptBlocked;
+    
+    return assert(passed, 'Page notifications matching a rule are dropped');
+  }
+  
+  // Test that the {counter} day changes at local midnight, matching the date tokens
+  async function testCounterDayRollover() {
+    const beforeMidnight = new Date(2024, 2, 9, 23, 59, 59, 999);
+    const afterMidnight = new Date(2024, 2, 10, 0, 0, 0, 0);
+    const dateTokens = date => FilenameTemplate.expand('{yyyy}-{mm}-{dd}', { filename: 'a.txt', date });
+    
+    const passed =
+      FilenameTemplate.counterDay(beforeMidnight) === '2024-03-09' &&
+      FilenameTemplate.counterDay(afterMidnight) === '2024-03-10' &&
+      FilenameTemplate.counterDay(beforeMidnight) === dateTokens(beforeMidnight) &&
+      FilenameTemplate.counterDay(afterMidnight) === dateTokens(afterMidnight);
+    
+    return assert(passed, 'Filename counter restarts at local midnight');
+  }
+  
+  // Test that a blocking safety category wins over a site policy that asks for a prompt, since
+  // a download restarted with Save As comes back as the extension's own and isn't checked again.
+  async function testSafetyBeforeSitePolicy() {
+    const testKeys = ['sitePolicies', 'safetyEnabled', 'safetyCategories', 'safetyExceptions'];
+    const saved = await new Promise(resolve => chrome.storage.sync.get(testKeys, resolve));
+    
+    // No real download has this id, so cancelling it does nothing
+    const testId = -1;
+    let entry = null;
+    
+    try {
+      await new Promise(resolve => chrome.storage.sync.set({
+        sitePolicies: [{ pattern: 'safety-test.invalid', policy: 'prompt' }],
+        safetyEnabled: true,
+        safetyCategories: [{ name: 'Test files', extensions: ['sdtest'], action: 'block' }],
+        safetyExceptions: []
+      }, resolve));
+      
+      // Stop waiting well before the runner's timeout, so the settings are restored either way
+      const decided = new Promise(resolve => {
+        handleDeterminingFilename({
+          id: testId,
+          url: 'https://safety-test.invalid/setup.sdtest',
+          referrer: '',
+          filename: 'setup.sdtest',
+          mime: 'application/octet-stream',
+          fileSize: 0,
+          totalBytes: 0
+        }, resolve);
+      });
+      await Promise.race([decided, delay(config.testTimeout / 2)]);
+      
+      // History writes are queued in order, so the entry is there by the time this runs
+      await updateLocalState('downloadHistory', (history = []) => {
+        entry = history.find(item => item.id === testId) || null;
+        return history.filter(item => item.id !== testId);
+      });
+    } finally {
+      // Put the user's settings back, even when the test fails part way
+      await new Promise(resolve => chrome.storage.sync.set(saved, resolve));
+      await new Promise(resolve => chrome.storage.sync.remove(testKeys.filter(key => !(key in saved)), resolve));
+    }
+    
+    return assert(entry && entry.state === 'blocked', 'Blocking safety categories apply before site policy prompts');
+  }
+  
+  // Test that the queue applies per-host limits on top of the overall limit
+  async function testQueueHostLimits() {
+    const settings = { queueMaxConcurrent: 3, queueHostLimits: [{ pattern: 'slow.example', limit: 1 }] };
+    const running = url => ({ url });
+    
+    const passed =
+      hasQueueCapacity(settings, [running('https://fast.example/a')], 'slow.example') &&
+      !hasQueueCapacity(settings, [running('https://slow.example/a')], 'slow.example') &&
+      !hasQueueCapacity(settings, [running('https://cdn.slow.example/a')], 'files.slow.example') &&
+      hasQueueCapacity(settings, [running('https://slow.example/a'), running('https://fast.example/b')], 'fast.example') &&
+      !hasQueueCapacity(settings, ['a', 'b', 'c'].map(name => running(`https://fast.example/${name}`)), 'other.example');
+    
+    return assert(passed, 'Queue limits each host separately within the overall limit');
+  }
+  
+  // Test that a context-menu download keeps its chosen folder when the server redirects it
+  async function testChosenFolderAfterRedirect() {
+    const url = 'https://redirect-test.invalid/download?id=1';
+    const testId = -1;
+    await updateDirectedDownloads((ids, urls) => {
+      urls[url] = { folder: 'Redirect Test', until: Date.now() + DIRECTED_FOLDER_MS };
+    });
+    
+    const suggestion = await new Promise(resolve => {
+      handleDeterminingFilename({
+        id: testId,
+        url,
+        finalUrl: 'https://cdn.redirect-test.invalid/files/report.txt',
+        referrer: '',
+        filename: 'report.txt',
+        mime: 'text/plain',
+        fileSize: 0,
+        totalBytes: 0,
+        byExtensionId: chrome.runtime.id
+      }, resolve);
+    });
+    
+    // Drop the history entry the test download left behind
+    await updateLocalState('downloadHistory', (history = []) => history.filter(item => item.id !== testId));
+    
+    const { urls } = await updateDirectedDownloads(() => {});
+    
+    const passed =
+      suggestion && typeof suggestion.filename === 'string' &&
+      suggestion.filename.startsWith('Redirect Test/') &&
+      !urls[url];
+    
+    return assert(passed, 'Redirected context menu downloads keep the chosen folder');
+  }
+  
   // Define test suite
   const tests = [
-    { name: 'Extension Installation', test: testExtensionInstalled },
-    { name: 'Download Interception', test: testDownloadInterception },
-    { name: 'Notification Hiding', test: testNotificationHiding },
-    { name: 'Settings Persistence', test: testSettingsPersistence }
+    { name: 'Extension Installation', test: testExtensionInstalled, context: 'extensionPage' },
+    { name: 'Download Interception', test: testDownloadInterception, context: 'extensionPage' },
+    { name: 'Notification Hiding', test: testNotificationHiding, context: 'extensionPage' },
+    { name: 'Settings Persistence', test: testSettingsPersistence, context: 'extensionPage' },
+    { name: 'Routing Rules Persistence', test: testRoutingRulesPersistence, context: 'extensionPage' },
+    { name: 'Conflict Action Persistence', test: testConflictActionPersistence, context: 'extensionPage' },
+    { name: 'Settings Import Validation', test: testSettingsImportValidation, context: 'sharedModules' },
+    { name: 'Path Validation', test: testPathValidation, context: 'sharedModules' },
+    { name: 'Retry Backoff', test: testRetryBackoff, context: 'serviceWorker' },
+    { name: 'Suppression Rule Matching', test: testSuppressionRuleMatching, context: 'serviceWorker' },
+    { name: 'Suppression Dry Run', test: testSuppressionDryRun, context: 'serviceWorker' },
+    { name: 'Quiet Hours Status', test: testQuietHoursStatus, context: 'extensionPage' },
+    { name: 'Flood Threshold', test: testFloodThreshold, context: 'serviceWorker' },
+    { name: 'Live Page Settings', test: testLivePageSettings, context: 'contentScript' },
+    { name: 'Hiding Rule Validation', test: testHidingRuleValidation, context: 'sharedModules' },
+    { name: 'Site Hiding Rules', test: testSiteHidingRules, context: 'contentScript' },
+    { name: 'Large Subtree Hiding', test: testLargeSubtreeHiding, context: 'contentScript' },
+    { name: 'Page Notification Rule Validation', test: testPageNotificationRuleValidation, context: 'sharedModules' },
+    { name: 'Page Notification Matching', test: testPageNotificationMatching, context: 'page' },
+    { name: 'Counter Day Rollover', test: testCounterDayRollover, context: 'sharedModules' },
+    { name: 'Safety Before Site Policy', test: testSafetyBeforeSitePolicy, context: 'serviceWorker' },
+    { name: 'Queue Host Limits', test: testQueueHostLimits, context: 'serviceWorker' },
+    { name: 'Chosen Folder After Redirect', test: testChosenFolderAfterRedirect, context: 'serviceWorker' }
   ];
   
   // Public API
@@ -280,4 +859,5 @@ if (SilentDownloadsTest.getConfig().autoRun) {
 
 console.log('%cSilent Downloads Test Framework Loaded', 'color: #6610f2; font-weight: bold; font-size: 16px');
 console.log('To run all tests, use: SilentDownloadsTest.runAllTests()');
+console.log('Tests for other consoles are skipped; run the suite from each one to cover everything');
 console.log('To run a specific test, use: SilentDownloadsTest.runTest(SilentDownloadsTest.tests[index])');
\ No newline at end of file